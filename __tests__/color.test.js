@@ -0,0 +1,56 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// jsdom has no canvas; a minimal normalizer resolves the named colors used below
+const NAMED = { white: '#ffffff', red: '#ff0000', black: '#000000' };
+global.OffscreenCanvas = class {
+  getContext() {
+    let style = '#000000';
+    return {
+      get fillStyle() { return style; },
+      set fillStyle(value) { if (/^#/.test(value) || NAMED[value]) style = NAMED[value] || value; }
+    };
+  }
+};
+
+require('../color.js');
+
+const { replaceColors, extractColors } = window.CyberdarkColor;
+
+describe('replaceColors', () => {
+  test('remaps hex, functional and named colors', () => {
+    const value = replaceColors('0 0 2px #fff, inset 0 1px rgb(255, 255, 255), 0 0 1px white', 'background');
+    expect(value).not.toMatch(/#fff|rgb\(255, 255, 255\)|white/);
+    expect(value).toMatch(/^0 0 2px rgb\(/);
+    expect(value).toContain('inset 0 1px rgb(');
+  });
+
+  test('leaves var() names alone', () => {
+    expect(replaceColors('0 0 2px var(--x-white)', 'background')).toBe('0 0 2px var(--x-white)');
+    expect(replaceColors('var(--shadow, white)', 'background')).toBe('var(--shadow, white)');
+  });
+
+  test('leaves url() fragments and paths alone', () => {
+    expect(replaceColors('url(#fade)', 'background')).toBe('url(#fade)');
+    expect(replaceColors('url(/img/red-arrow.png) no-repeat', 'background')).toBe('url(/img/red-arrow.png) no-repeat');
+    expect(replaceColors('url("/img/white (1).png")', 'background')).toBe('url("/img/white (1).png")');
+  });
+
+  test('only whole named colors are words to replace', () => {
+    expect(replaceColors('fade-white 1s', 'background')).toBe('fade-white 1s');
+    expect(replaceColors('to right', 'background')).toBe('to right');
+  });
+});
+
+describe('extractColors', () => {
+  test('reads gradient stops but not url() or var() contents', () => {
+    const stops = extractColors('linear-gradient(#ffffff, var(--x-black)), url(#fade), url(/red.png)');
+    expect(stops).toEqual([{ r: 255, g: 255, b: 255, a: 1 }]);
+  });
+
+  test('themes a gradient next to an image layer without touching the image', () => {
+    const value = replaceColors('linear-gradient(to bottom, white, #eee), url(/img/red-arrow.png)', 'background');
+    expect(value).toMatch(/^linear-gradient\(to bottom, rgb\(\d+, \d+, \d+\), rgb\(\d+, \d+, \d+\)\), url\(\/img\/red-arrow\.png\)$/);
+  });
+});
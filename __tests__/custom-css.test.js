@@ -0,0 +1,38 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// jsdom has no TextEncoder; validateCustomCss measures CSS with it
+global.TextEncoder = require('util').TextEncoder;
+
+// The scripts attach their globals to window, in the order the manifest loads them
+require('../validate.js');
+
+const { validateCustomCss } = window.CyberdarkValidate;
+
+describe('validateCustomCss', () => {
+  test('passes local CSS through', () => {
+    expect(validateCustomCss('a { color: red; }')).toEqual({ css: 'a { color: red; }', errors: [] });
+    expect(validateCustomCss('a { background: url(data:image/png;base64,AAAA); }').errors).toEqual([]);
+  });
+
+  test('rejects @import and remote URLs', () => {
+    expect(validateCustomCss('@import "x.css"; a { color: red; }').errors).toEqual(['@import is not allowed']);
+    expect(validateCustomCss('a { background: url(https://example.com/x.png); }').errors)
+      .toEqual(['Remote URL not allowed: https://example.com/x.png']);
+  });
+
+  test('sees through CSS escapes', () => {
+    expect(validateCustomCss('a { background: u\\72l(//example.com/x); }').errors)
+      .toEqual(['Remote URL not allowed: //example.com/x']);
+  });
+
+  test('comment markers inside strings do not hide a remote URL', () => {
+    const css = 'a::after { content: "/*"; } b { background: url(//example.com/x); } c::after { content: "*/"; }';
+    expect(validateCustomCss(css).errors).toEqual(['Remote URL not allowed: //example.com/x']);
+  });
+
+  test('comments are ignored', () => {
+    expect(validateCustomCss('/* url(https://example.com/x.png) */ a { color: red; }').errors).toEqual([]);
+  });
+});
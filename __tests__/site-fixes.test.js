@@ -0,0 +1,60 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// jsdom has no TextEncoder; validateCustomCss measures fix CSS with it
+global.TextEncoder = require('util').TextEncoder;
+
+// The scripts attach their globals to window, in the order the manifest loads them
+require('../validate.js');
+require('../config.js');
+require('../site-fixes.js');
+
+const { validateFixList, prepareUserFixes, resolveSiteFix } = window.CyberdarkSiteFixes;
+
+describe('validateFixList', () => {
+  test('accepts an array or {fixes: [...]}', () => {
+    const fix = { url: ['example.com'], invert: ['img'] };
+    expect(validateFixList([fix])).toEqual({ fixes: [fix], errors: [] });
+    expect(validateFixList({ fixes: [fix] })).toEqual({ fixes: [fix], errors: [] });
+  });
+
+  test('rejects anything else', () => {
+    expect(validateFixList('nope')).toEqual({ fixes: [], errors: ['Expected an array of fixes or {"fixes": [...]}'] });
+  });
+
+  test('drops unusable fixes and numbers the problems', () => {
+    const { fixes, errors } = validateFixList([
+      { url: 'example.com', css: '@import "x.css";' },
+      { url: ['example.com'], mode: 'bogus' },
+      { url: ['example.com'], invert: ['img', 'div{'], bogus: true }
+    ]);
+    expect(fixes).toEqual([{ url: ['example.com'], invert: ['img'] }]);
+    expect(errors).toEqual([
+      'Fix 1: css: @import is not allowed',
+      'Fix 2: "mode" must be one of css, dynamic, filter',
+      'Fix 3: Unknown field "bogus"',
+      'Fix 3: Invalid "invert" selector: div{'
+    ]);
+  });
+});
+
+describe('user fix files', () => {
+  test('prepareUserFixes keeps only valid fixes', () => {
+    const files = [{ name: 'mine.json', fixes: [{ url: ['example.com'], skip: true }, { url: ['example.com'], mode: 'bogus' }] }, { fixes: [] }];
+    expect(prepareUserFixes(files)).toEqual([{ name: 'mine.json', fixes: [{ url: ['example.com'], skip: true }] }]);
+  });
+
+  test('user files apply after the bundled fixes', () => {
+    const files = [{ name: 'mine.json', fixes: [{ url: ['docs.google.com'], skip: false, mode: 'filter' }] }];
+    const fix = resolveSiteFix('https://docs.google.com/document/d/1', files);
+    expect(fix.skip).toBe(false);
+    expect(fix.mode).toBe('filter');
+    expect(fix.matched.map(match => match.source)).toEqual(['bundled', 'mine.json']);
+  });
+
+  test('matching skips fixes of the wrong shape', () => {
+    const files = [{ name: 'mine.json', fixes: [{ url: 'example.com', skip: true }, { url: ['example.com'], invert: 'img' }] }];
+    expect(resolveSiteFix('https://example.com/', files).matched).toEqual([]);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// The scripts attach their globals to window, in the order the manifest loads them
+require('../validate.js');
+require('../config.js');
+
+const { sanitizeUrlPattern } = window.CyberdarkValidate;
+const { parseUrlRule, urlRuleMatches, matchUrlRules, toMatchPatterns, ruleNamesHost } = window.CyberdarkConfig;
+
+describe('sanitizeUrlPattern', () => {
+  test('lowercases scheme and host but keeps the path', () => {
+    expect(sanitizeUrlPattern('Example.COM')).toBe('example.com');
+    expect(sanitizeUrlPattern('HTTPS://Example.com/Path')).toBe('https://example.com/Path');
+  });
+
+  test('accepts wildcards, ports and regexes', () => {
+    expect(sanitizeUrlPattern('*.corp.local')).toBe('*.corp.local');
+    expect(sanitizeUrlPattern('localhost:3000')).toBe('localhost:3000');
+    expect(sanitizeUrlPattern('/^https:\\/\\/x\\.io/i')).toBe('/^https:\\/\\/x\\.io/i');
+  });
+
+  test('rejects invalid rules', () => {
+    expect(sanitizeUrlPattern('/[/')).toBeNull();
+    expect(sanitizeUrlPattern('javascript:alert(1)')).toBeNull();
+    expect(sanitizeUrlPattern('exa mple.com')).toBeNull();
+    expect(sanitizeUrlPattern('')).toBeNull();
+    expect(sanitizeUrlPattern(null)).toBeNull();
+  });
+});
+
+describe('parseUrlRule', () => {
+  test('splits glob rules into their parts', () => {
+    expect(parseUrlRule('https://example.com:8080/docs/*')).toMatchObject({
+      scheme: 'https:',
+      port: '8080',
+      host: 'example.com',
+      hostRegex: null,
+      path: '/docs/*'
+    });
+  });
+
+  test('compiles regex rules', () => {
+    expect(parseUrlRule('/\\d+$/').regex).toBeInstanceOf(RegExp);
+  });
+
+  test('returns null for invalid patterns', () => {
+    expect(parseUrlRule('/[/')).toBeNull();
+    expect(parseUrlRule('not a rule')).toBeNull();
+    expect(parseUrlRule(42)).toBeNull();
+  });
+
+  test('ranks path rules above host rules and regexes last', () => {
+    expect(matchUrlRules(['/example/', 'example.com/admin', 'example.com'], 'https://example.com/admin'))
+      .toEqual(['/example/', 'example.com', 'example.com/admin']);
+  });
+});
+
+describe('urlRuleMatches', () => {
+  test('bare hosts cover their subdomains', () => {
+    expect(urlRuleMatches('example.com', 'https://www.example.com/')).toBe(true);
+    expect(urlRuleMatches('example.com', 'https://notexample.com/')).toBe(false);
+  });
+
+  test('a leading "*." also matches the bare domain', () => {
+    expect(urlRuleMatches('*.example.com', 'https://example.com/')).toBe(true);
+    expect(urlRuleMatches('*.example.com', 'https://a.b.example.com/')).toBe(true);
+  });
+
+  test('paths without "*" are prefixes ending at a segment boundary', () => {
+    expect(urlRuleMatches('example.com/admin', 'https://example.com/admin')).toBe(true);
+    expect(urlRuleMatches('example.com/admin', 'https://example.com/admin/users')).toBe(true);
+    expect(urlRuleMatches('example.com/admin/', 'https://example.com/admin/users')).toBe(true);
+    expect(urlRuleMatches('example.com/admin', 'https://example.com/administrator')).toBe(false);
+    expect(urlRuleMatches('example.com/admin', 'https://example.com/admin-old')).toBe(false);
+    expect(urlRuleMatches('example.com/admin', 'https://example.com/')).toBe(false);
+  });
+
+  test('paths with "*" are globs', () => {
+    expect(urlRuleMatches('example.com/admin/*', 'https://example.com/admin/users')).toBe(true);
+    expect(urlRuleMatches('example.com/admin/*', 'https://example.com/admin')).toBe(false);
+  });
+
+  test('ports compare against the default port of the scheme', () => {
+    expect(urlRuleMatches('localhost:3000', 'http://localhost:3000/')).toBe(true);
+    expect(urlRuleMatches('localhost:3000', 'http://localhost:4000/')).toBe(false);
+    expect(urlRuleMatches('example.com:443', 'https://example.com/')).toBe(true);
+  });
+
+  test('schemes restrict the match', () => {
+    expect(urlRuleMatches('https://example.com', 'http://example.com/')).toBe(false);
+  });
+
+  test('regexes are tested against the full URL', () => {
+    expect(urlRuleMatches('/^https:\\/\\/x\\.io\\/\\d+$/', 'https://x.io/42')).toBe(true);
+    expect(urlRuleMatches('/^https:\\/\\/x\\.io\\/\\d+$/', 'https://x.io/a')).toBe(false);
+  });
+
+  test('accepts bare hostnames', () => {
+    expect(urlRuleMatches('example.com', 'sub.example.com')).toBe(true);
+  });
+});
+
+describe('toMatchPatterns', () => {
+  test('covers subdomains of bare hosts but not of IP addresses', () => {
+    expect(toMatchPatterns('example.com')).toEqual(['*://*.example.com/*']);
+    expect(toMatchPatterns('127.0.0.1')).toEqual(['*://127.0.0.1/*']);
+  });
+
+  test('keeps schemes and ports', () => {
+    expect(toMatchPatterns('https://example.com')).toEqual(['https://*.example.com/*']);
+    expect(toMatchPatterns('example.com:8080')).toEqual(['*://*.example.com:8080/*']);
+    expect(toMatchPatterns('example.com:*')).toEqual(['*://*.example.com/*']);
+  });
+
+  test('leaves out path rules unless widened', () => {
+    expect(toMatchPatterns('example.com/admin/*')).toEqual([]);
+    expect(toMatchPatterns('example.com/admin/*', { widen: true })).toEqual(['*://*.example.com/*']);
+  });
+
+  test('yields nothing for rules patterns cannot express', () => {
+    expect(toMatchPatterns('/example/')).toEqual([]);
+    expect(toMatchPatterns('app-*.example.com')).toEqual([]);
+    expect(toMatchPatterns('ftp://example.com')).toEqual([]);
+  });
+});
+
+describe('ruleNamesHost', () => {
+  test('only exact host rules name a host', () => {
+    expect(ruleNamesHost('example.com', 'example.com')).toBe(true);
+    expect(ruleNamesHost('example.com/admin', 'example.com')).toBe(true);
+    expect(ruleNamesHost('example.com', 'www.example.com')).toBe(false);
+    expect(ruleNamesHost('*.example.com', 'example.com')).toBe(false);
+    expect(ruleNamesHost('*', 'example.com')).toBe(false);
+    expect(ruleNamesHost('/example/', 'example.com')).toBe(false);
+  });
+});
@@ -2,71 +2,470 @@
 // Handles dynamic icon generation based on user colors
 // Provides fast enabled-state cache for content scripts
 
+// Shared settings resolution (same code the content scripts use)
+importScripts('validate.js', 'config.js', 'site-fixes.js', 'color.js');
+
 // === In-Memory Caches ===
 // Content scripts query these for ~0ms lookup (vs 20-100ms storage)
 let enabledStateCache = null;
 let blacklistCache = [];
+let siteModeCache = 'everywhere';
+let allowlistCache = [];
+let userFixesCache = [];
+
+// Helper: Hostname of a URL, '' for about:blank and unparsable values
+function hostnameOf(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (_) {
+        return '';
+    }
+}
+
+// Helper: Check if a page is blacklisted (URL rules, see config.js), outside the
+// allowlist in allowlist mode, or skipped by a site fix
+function isBlacklisted(url) {
+    if (!hostnameOf(url)) return false;
+    return CyberdarkConfig.isBlacklisted(url, blacklistCache) ||
+        !CyberdarkConfig.isAllowed(url, { siteMode: siteModeCache, allowlist: allowlistCache }) ||
+        CyberdarkSiteFixes.resolveSiteFix(url, userFixesCache).skip;
+}
 
-// Problematic sites that should not have dark mode applied
-const PROBLEMATIC_SITES = [
-    'docs.google.com',
-    'sheets.google.com',
-    'slides.google.com',
-    'figma.com',
-    'chrome.google.com'
-];
+// Helper: Copy site-mode settings into the caches
+function cacheSiteSettings(settings) {
+    blacklistCache = settings?.blacklist || [];
+    siteModeCache = settings?.siteMode === 'allowlist' ? 'allowlist' : 'everywhere';
+    allowlistCache = settings?.allowlist || [];
+}
+
+// === First Paint ===
+// emergency.js darkens pages before settings load. It's registered here rather than in
+// the manifest so the first paint matches how each site ends up: nothing where Cyberdark
+// won't run, the final theme background where it will. Top frames report their outcome
+// into a per-origin cache; registrations are rebuilt from it and the settings.
+// page-hooks.js is registered alongside it from the same inputs.
+const EMERGENCY_SCRIPT_ID = 'cyberdark-emergency';
+const PAGE_HOOKS_SCRIPT_ID = 'cyberdark-page-hooks';
+const FIRST_PAINT_KEY = 'cyberdarkFirstPaint';
+const MAX_FIRST_PAINT_ORIGINS = 200;
+// Scripts run ahead of emergency.js to pick its background ('dark' is its default)
+const FIRST_PAINT_VARIANTS = { dark: [], contrast: ['first-paint-contrast.js'] };
+// 'native': the site's own dark theme is kept or softened, so nothing is painted
+const FIRST_PAINT_STATES = ['off', 'native', ...Object.keys(FIRST_PAINT_VARIANTS)];
+let emergencySync = Promise.resolve();
+
+// Helper: Origin of an http(s) URL, null for anything else
+function webOriginOf(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.origin : null;
+    } catch (_) {
+        return null;
+    }
+}
 
-// Helper: Check if hostname matches a pattern (exact or subdomain)
-function hostMatches(hostname, pattern) {
-    if (!hostname || !pattern) return false;
-    const h = String(hostname).toLowerCase();
-    const p = String(pattern).toLowerCase();
-    return h === p || h.endsWith('.' + p);
+// Helper: Match pattern covering an origin's pages
+function originPattern(origin) {
+    if (!webOriginOf(origin)) return null;
+    const { protocol, host } = new URL(origin);
+    return `${protocol}//${host}/*`;
 }
 
-// Helper: Check if hostname is blacklisted
-function isBlacklisted(hostname) {
-    const allBlacklisted = [...blacklistCache, ...PROBLEMATIC_SITES];
-    return allBlacklisted.some(pattern => hostMatches(hostname, pattern));
+// Settings decide every state but 'native' (detected in the page), so after a settings
+// change cached states are re-derived from the origin's root page
+function deriveFirstPaintState(stored, origin, reported) {
+    const resolved = CyberdarkConfig.resolveSiteSettings(Object.assign({}, stored, { cyberdarkEnabled: true }), origin + '/');
+    if (resolved.blacklisted) return 'off';
+    return reported === 'native' ? 'native' : CyberdarkConfig.firstPaintVariant(resolved.settings);
+}
+
+// Helper: Match patterns for a rule list (see CyberdarkConfig.toMatchPatterns)
+function rulePatterns(rules, options) {
+    return (Array.isArray(rules) ? rules : []).flatMap(rule => CyberdarkConfig.toMatchPatterns(rule, options));
+}
+
+function unique(list) {
+    return [...new Set(list)];
+}
+
+// Registrations for the current settings and cache; none while Cyberdark is off
+function buildEmergencyScripts(stored, firstPaint) {
+    if (stored.cyberdarkEnabled !== true || CyberdarkConfig.FEATURES.emergencyDarkMode === false) return [];
+    const settings = Object.assign({}, CyberdarkConfig.DEFAULT_SETTINGS, stored.cyberdarkSettings || {});
+
+    // Rules patterns can't express (paths among them) are left out; the page itself still decides
+    const matches = settings.siteMode === 'allowlist' ? rulePatterns(settings.allowlist) : ['<all_urls>'];
+    if (!matches.length) return [];
+    const blacklisted = rulePatterns(settings.blacklist);
+
+    const states = new Map();
+    Object.keys(firstPaint).forEach(origin => {
+        const pattern = originPattern(origin);
+        if (pattern) states.set(pattern, firstPaint[origin]);
+    });
+
+    const defaultVariant = CyberdarkConfig.firstPaintVariant(settings);
+    const excluded = [...blacklisted];
+    const variantMatches = {};
+    states.forEach((state, pattern) => {
+        if (state === defaultVariant) return;
+        excluded.push(pattern);
+        if (FIRST_PAINT_VARIANTS[state]) (variantMatches[state] = variantMatches[state] || []).push(pattern);
+    });
+
+    const script = (id, variant, patterns, exclude) => Object.assign({
+        id,
+        js: [...FIRST_PAINT_VARIANTS[variant], 'emergency.js'],
+        matches: unique(patterns),
+        runAt: 'document_start',
+        allFrames: true,
+        matchOriginAsFallback: true,
+        persistAcrossSessions: true
+    }, exclude.length ? { excludeMatches: unique(exclude) } : {});
+
+    return [script(EMERGENCY_SCRIPT_ID, defaultVariant, matches, excluded)].concat(
+        Object.keys(variantMatches).map(variant => script(`${EMERGENCY_SCRIPT_ID}-${variant}`, variant, variantMatches[variant], blacklisted))
+    );
+}
+
+// page-hooks.js wraps attachShadow and the history methods in the page's own world,
+// where every page script sees it, so it only goes where Cyberdark may theme: widened
+// allowlist rules (all pages if one can't be expressed), minus blacklisted hosts and
+// origins cached as 'off'
+function buildPageHooksScripts(stored, firstPaint) {
+    if (stored.cyberdarkEnabled !== true) return [];
+    const settings = Object.assign({}, CyberdarkConfig.DEFAULT_SETTINGS, stored.cyberdarkSettings || {});
+
+    let matches = ['<all_urls>'];
+    if (settings.siteMode === 'allowlist') {
+        const allowlist = Array.isArray(settings.allowlist) ? settings.allowlist : [];
+        if (!allowlist.length) return [];
+        const widened = allowlist.map(rule => CyberdarkConfig.toMatchPatterns(rule, { widen: true }));
+        if (widened.every(patterns => patterns.length)) matches = widened.flat();
+    }
+    const excluded = rulePatterns(settings.blacklist).concat(Object.keys(firstPaint)
+        .filter(origin => firstPaint[origin] === 'off')
+        .map(originPattern)
+        .filter(Boolean));
+
+    return [Object.assign({
+        id: PAGE_HOOKS_SCRIPT_ID,
+        js: ['page-hooks.js'],
+        matches: unique(matches),
+        runAt: 'document_start',
+        allFrames: true,
+        matchOriginAsFallback: true,
+        world: 'MAIN',
+        persistAcrossSessions: true
+    }, excluded.length ? { excludeMatches: unique(excluded) } : {})];
+}
+
+// Registrations this worker manages
+function isManagedScript(id) {
+    return id.startsWith(EMERGENCY_SCRIPT_ID) || id === PAGE_HOOKS_SCRIPT_ID;
+}
+
+// Fields compared to decide whether registrations changed
+function registrationSignature(scripts) {
+    return JSON.stringify(scripts
+        .map(({ id, js, matches, excludeMatches }) => ({ id, js, matches, excludeMatches: excludeMatches || [] }))
+        .sort((a, b) => a.id.localeCompare(b.id)));
+}
+
+// Queued on one chain: storage events and reports can arrive faster than
+// registration calls complete
+function queueFirstPaintTask(task) {
+    emergencySync = emergencySync.then(task).catch(err => {
+        console.warn('[Cyberdark] Emergency dark registration failed:', err.message);
+    });
+    return emergencySync;
+}
+
+// Re-registers the emergency scripts and page hooks when settings or the cache change;
+// with rederive, cached states are first recomputed from the new settings
+function syncEmergencyScript({ rederive = false } = {}) {
+    return queueFirstPaintTask(async () => {
+        const stored = await chrome.storage.sync.get(['cyberdarkEnabled', 'cyberdarkSettings']);
+        const local = await chrome.storage.local.get([FIRST_PAINT_KEY, CyberdarkSiteFixes.USER_FIXES_KEY]);
+        const firstPaint = local[FIRST_PAINT_KEY] || {};
+        stored[CyberdarkSiteFixes.USER_FIXES_KEY] = CyberdarkSiteFixes.prepareUserFixes(local[CyberdarkSiteFixes.USER_FIXES_KEY]);
+
+        if (rederive) {
+            let changed = false;
+            Object.keys(firstPaint).forEach(origin => {
+                const state = deriveFirstPaintState(stored, origin, firstPaint[origin]);
+                if (state !== firstPaint[origin]) changed = true;
+                firstPaint[origin] = state;
+            });
+            if (changed) await chrome.storage.local.set({ [FIRST_PAINT_KEY]: firstPaint });
+        }
+
+        const scripts = buildEmergencyScripts(stored, firstPaint).concat(buildPageHooksScripts(stored, firstPaint));
+        const current = (await chrome.scripting.getRegisteredContentScripts())
+            .filter(registered => isManagedScript(registered.id));
+        if (registrationSignature(current) === registrationSignature(scripts)) return;
+
+        // New set first, so a failed registration leaves the old one in place
+        const currentIds = new Set(current.map(registered => registered.id));
+        const nextIds = new Set(scripts.map(script => script.id));
+        const added = scripts.filter(script => !currentIds.has(script.id));
+        const kept = scripts.filter(script => currentIds.has(script.id));
+        const removed = [...currentIds].filter(id => !nextIds.has(id));
+        if (added.length) await chrome.scripting.registerContentScripts(added);
+        // Updates keep fields they don't name, so an emptied exclusion list is spelled out
+        if (kept.length) await chrome.scripting.updateContentScripts(kept.map(script => Object.assign({ excludeMatches: [] }, script)));
+        if (removed.length) await chrome.scripting.unregisterContentScripts({ ids: removed });
+    });
+}
+
+// Stores a top frame's outcome (most recent origins kept) and re-registers if it changed
+function recordFirstPaint(origin, state) {
+    return queueFirstPaintTask(async () => {
+        const local = await chrome.storage.local.get([FIRST_PAINT_KEY]);
+        const firstPaint = local[FIRST_PAINT_KEY] || {};
+        if (firstPaint[origin] === state) return;
+
+        delete firstPaint[origin];
+        firstPaint[origin] = state;
+        const origins = Object.keys(firstPaint);
+        origins.slice(0, Math.max(0, origins.length - MAX_FIRST_PAINT_ORIGINS)).forEach(old => delete firstPaint[old]);
+        await chrome.storage.local.set({ [FIRST_PAINT_KEY]: firstPaint });
+    }).then(() => syncEmergencyScript());
 }
 
 // Initialize caches on startup
 chrome.storage.sync.get(['cyberdarkEnabled', 'cyberdarkSettings'], (result) => {
     enabledStateCache = result.cyberdarkEnabled === true;
-    blacklistCache = result.cyberdarkSettings?.blacklist || [];
+    cacheSiteSettings(result.cyberdarkSettings);
+    syncEmergencyScript();
     console.log('[Cyberdark] Caches initialized:', {
         enabled: enabledStateCache,
-        blacklistCount: blacklistCache.length
+        blacklistCount: blacklistCache.length,
+        siteMode: siteModeCache
     });
 });
+chrome.storage.local.get([CyberdarkSiteFixes.USER_FIXES_KEY], (result) => {
+    userFixesCache = CyberdarkSiteFixes.prepareUserFixes(result[CyberdarkSiteFixes.USER_FIXES_KEY]);
+});
 
 // Keep caches synchronized with storage changes
 chrome.storage.onChanged.addListener((changes, area) => {
     if (area === 'sync') {
         if ('cyberdarkEnabled' in changes) {
             enabledStateCache = changes.cyberdarkEnabled.newValue === true;
+            if (!('cyberdarkSettings' in changes)) syncEmergencyScript();
             console.log('[Cyberdark] Enabled state cache updated:', enabledStateCache);
         }
         if ('cyberdarkSettings' in changes) {
-            blacklistCache = changes.cyberdarkSettings.newValue?.blacklist || [];
-            console.log('[Cyberdark] Blacklist cache updated:', blacklistCache.length, 'entries');
+            cacheSiteSettings(changes.cyberdarkSettings.newValue);
+            syncEmergencyScript({ rederive: true });
+            console.log('[Cyberdark] Site caches updated:', blacklistCache.length, 'blacklisted,', siteModeCache, 'mode');
         }
     }
+    if (area === 'local' && CyberdarkSiteFixes.USER_FIXES_KEY in changes) {
+        userFixesCache = CyberdarkSiteFixes.prepareUserFixes(changes[CyberdarkSiteFixes.USER_FIXES_KEY].newValue);
+        syncEmergencyScript({ rederive: true });
+    }
 });
 
 // Fast-path query handler for content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.type === 'getEnabledState') {
-        const hostname = request.hostname || '';
-        const blacklisted = hostname ? isBlacklisted(hostname) : false;
+        // Sub-frames follow the tab's top-level site
+        const url = (sender.frameId && sender.tab ? sender.tab.url : request.url) || '';
+        const blacklisted = isBlacklisted(url);
         sendResponse({
             enabled: enabledStateCache,
             blacklisted: blacklisted
         });
         return true; // Keep channel open for async response
     }
+
+    // Top frames report how their site ended up for the next load's first paint
+    if (request.type === 'reportFirstPaint') {
+        const origin = sender.frameId === 0 ? webOriginOf(sender.url) : null;
+        if (origin && FIRST_PAINT_STATES.includes(request.state)) recordFirstPaint(origin, request.state);
+        return false;
+    }
+
+    // Sub-frames get the tab's settings resolved against the top-level site
+    if (request.type === 'getFrameSettings') {
+        const topUrl = (sender.tab && sender.tab.url) || '';
+        const frameUrl = sender.url || '';
+        const keys = ['cyberdarkEnabled', 'cyberdarkSettings', CyberdarkConfig.customCssKey(hostnameOf(topUrl)), CyberdarkConfig.customCssKey(hostnameOf(frameUrl))];
+        chrome.storage.sync.get(keys, (result) => {
+            result[CyberdarkSiteFixes.USER_FIXES_KEY] = userFixesCache;
+            sendResponse({ resolved: CyberdarkConfig.resolveSiteSettings(result, topUrl, frameUrl) });
+        });
+        return true;
+    }
+
+    // Cross-origin images taint the page's canvas; measure them here instead
+    if (request.type === 'analyzeImage') {
+        analyzeImageUrl(request.url, sender)
+            .then(stats => sendResponse({ stats }))
+            .catch(err => {
+                console.warn('[Cyberdark] Image analysis failed:', err.message);
+                sendResponse({ stats: null });
+            });
+        return true;
+    }
+
+    // Cross-origin stylesheets block cssRules access in the page; fetch them here instead
+    if (request.type === 'fetchStylesheet') {
+        fetchStylesheet(request.url, sender)
+            .then(text => sendResponse({ text }))
+            .catch(err => {
+                console.warn('[Cyberdark] Stylesheet fetch failed:', err.message);
+                sendResponse({ text: null });
+            });
+        return true;
+    }
 });
 
+// === Fetching for Content Scripts ===
+// Content scripts can't read cross-origin stylesheets or image pixels, so the worker
+// fetches them. That must not turn the extension into a proxy that reads anything a
+// page names: only resources the sender's document already uses, never on private
+// networks, of the expected type and size.
+
+// Max stylesheet size fetched on behalf of content scripts (2MB)
+const MAX_STYLESHEET_BYTES = 2 * 1024 * 1024;
+
+// Max image size fetched for analysis (10MB) and number of results kept
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const MAX_IMAGE_CACHE = 500;
+const imageStatsCache = new Map();
+
+// Loopback, link-local, private and local-only hosts (checked as written; DNS isn't resolved)
+function isPrivateHost(hostname) {
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || /\.(?:localhost|local|internal|lan|home\.arpa)$/.test(host)) return true;
+
+    const ipv4 = /^(\d+)\.(\d+)\.\d+\.\d+$/.exec(host);
+    if (ipv4) {
+        const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+        return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+    }
+    if (host.includes(':')) {
+        return host === '::' || host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) || host.startsWith('::ffff:');
+    }
+    // Single-label names only resolve on the local network
+    return !host.includes('.');
+}
+
+// Runs in the sender's frame (chrome.scripting), so it must be self-contained:
+// returns the wanted URLs the document actually uses
+function findDocumentUrls(kind, wanted) {
+    const used = new Set();
+    if (kind === 'stylesheet') {
+        const addSheet = (sheet) => {
+            if (sheet.href) used.add(sheet.href);
+            let rules = null;
+            try {
+                rules = sheet.cssRules;
+            } catch (_) {
+                return;
+            }
+            for (const rule of rules) {
+                if (rule.styleSheet) addSheet(rule.styleSheet);
+            }
+        };
+        for (const sheet of document.styleSheets) addSheet(sheet);
+    } else {
+        for (const img of document.images) {
+            if (img.currentSrc) used.add(img.currentSrc);
+            if (img.src) used.add(img.src);
+        }
+        // CSS background images show up as resource loads
+        for (const entry of performance.getEntriesByType('resource')) used.add(entry.name);
+    }
+    return wanted.filter(url => used.has(url));
+}
+
+// Requests from one frame within a tick share a single chrome.scripting round trip
+const referenceBatches = new Map();
+
+function isUsedBySender(sender, url, kind) {
+    if (!sender.tab || typeof sender.frameId !== 'number') return Promise.resolve(false);
+    const key = `${sender.tab.id}:${sender.documentId || sender.frameId}:${kind}`;
+    let batch = referenceBatches.get(key);
+    if (!batch) {
+        batch = { urls: new Set() };
+        referenceBatches.set(key, batch);
+        const target = sender.documentId
+            ? { tabId: sender.tab.id, documentIds: [sender.documentId] }
+            : { tabId: sender.tab.id, frameIds: [sender.frameId] };
+        batch.found = new Promise(resolve => setTimeout(resolve, 0)).then(async () => {
+            referenceBatches.delete(key);
+            const [injection] = await chrome.scripting.executeScript({ target, func: findDocumentUrls, args: [kind, [...batch.urls]] });
+            return new Set((injection && injection.result) || []);
+        });
+    }
+    batch.urls.add(url);
+    return batch.found.then(found => found.has(url));
+}
+
+async function checkFetchTarget(url, sender, kind) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new Error(`Unsupported ${kind} protocol`);
+    if (isPrivateHost(parsed.hostname)) throw new Error(`Private network ${kind} refused`);
+    if (!(await isUsedBySender(sender, parsed.href, kind))) throw new Error(`The page does not use this ${kind}`);
+    return parsed;
+}
+
+// Reads at most maxBytes of a response; larger bodies are abandoned mid-stream
+async function readLimited(response, maxBytes) {
+    if (Number(response.headers.get('Content-Length')) > maxBytes) throw new Error('Response too large');
+    const reader = response.body.getReader();
+    const chunks = [];
+    let total = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        total += value.byteLength;
+        if (total > maxBytes) {
+            reader.cancel();
+            throw new Error('Response too large');
+        }
+        chunks.push(value);
+    }
+    return new Blob(chunks, { type: response.headers.get('Content-Type') || '' });
+}
+
+// Redirects aren't followed: the final host couldn't be checked before the request
+async function fetchChecked(parsed, typePattern, maxBytes) {
+    const response = await fetch(parsed.href, { credentials: 'omit', cache: 'force-cache', redirect: 'error' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const type = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    if (!typePattern.test(type)) throw new Error(`Unexpected content type ${type || '(none)'}`);
+    return readLimited(response, maxBytes);
+}
+
+async function fetchStylesheet(url, sender) {
+    const parsed = await checkFetchTarget(url, sender, 'stylesheet');
+    const blob = await fetchChecked(parsed, /^text\/css$/, MAX_STYLESHEET_BYTES);
+    return blob.text();
+}
+
+async function analyzeImageUrl(url, sender) {
+    const parsed = await checkFetchTarget(url, sender, 'image');
+    if (imageStatsCache.has(parsed.href)) return imageStatsCache.get(parsed.href);
+
+    const blob = await fetchChecked(parsed, /^image\//, MAX_IMAGE_BYTES);
+    const size = CyberdarkColor.IMAGE_SAMPLE_SIZE;
+    const bitmap = await createImageBitmap(blob, { resizeWidth: size, resizeHeight: size });
+    const ctx = new OffscreenCanvas(size, size).getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    const stats = CyberdarkColor.summarizePixels(ctx.getImageData(0, 0, size, size).data);
+
+    if (imageStatsCache.size >= MAX_IMAGE_CACHE) imageStatsCache.delete(imageStatsCache.keys().next().value);
+    imageStatsCache.set(parsed.href, stats);
+    return stats;
+}
+
 function updateIconWithColors(settings = {}) {
     const width = 128;
     const height = 128;
@@ -116,6 +515,18 @@ chrome.runtime.onInstalled.addListener(async (details) => {
         console.log('[Cyberdark] Installed - disabled by default');
     }
 
+    if (details.reason === 'update') {
+        const stored = await chrome.storage.sync.get(['cyberdarkSettings']);
+        const migrated = CyberdarkConfig.migrateSettings(stored.cyberdarkSettings);
+        if (migrated && migrated !== stored.cyberdarkSettings) {
+            await chrome.storage.sync.set({ cyberdarkSettings: migrated });
+            if (migrated.highContrast !== stored.cyberdarkSettings.highContrast) {
+                await chrome.storage.local.set({ [CyberdarkConfig.MIGRATION_NOTICE_KEY]: CyberdarkConfig.HIGH_CONTRAST_NOTICE });
+            }
+            console.log('[Cyberdark] Settings migrated to version', migrated.settingsVersion);
+        }
+    }
+
     const result = await chrome.storage.sync.get(['cyberdarkSettings']);
     updateIconWithColors(result.cyberdarkSettings);
 });
@@ -0,0 +1,362 @@
+// color.js - Color parsing and perceptual remapping for Cyberdark
+// Attached to global scope for access by other scripts without bundler
+
+(function (global) {
+    'use strict';
+
+    // ============================================================================
+    // Parsing
+    // ============================================================================
+
+    const HEX_REGEX = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+    const RGB_REGEX = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/i;
+
+    // Lazily created 2D context used to normalize named/hsl/other CSS colors
+    let normalizerCtx = null;
+
+    function getNormalizer() {
+        if (normalizerCtx) return normalizerCtx;
+        try {
+            if (typeof OffscreenCanvas !== 'undefined') {
+                normalizerCtx = new OffscreenCanvas(1, 1).getContext('2d');
+            } else if (typeof document !== 'undefined') {
+                normalizerCtx = document.createElement('canvas').getContext('2d');
+            }
+        } catch (_) {
+            normalizerCtx = null;
+        }
+        return normalizerCtx;
+    }
+
+    function parseHex(hex) {
+        let h = hex.slice(1);
+        if (h.length <= 4) h = h.split('').map(c => c + c).join('');
+        return {
+            r: parseInt(h.slice(0, 2), 16),
+            g: parseInt(h.slice(2, 4), 16),
+            b: parseInt(h.slice(4, 6), 16),
+            a: h.length === 8 ? parseInt(h.slice(6, 8), 16) / 255 : 1
+        };
+    }
+
+    function parseAlpha(raw) {
+        if (raw === undefined) return 1;
+        const num = parseFloat(raw);
+        return raw.endsWith('%') ? num / 100 : num;
+    }
+
+    /**
+     * Parses a CSS color value into RGBA components
+     * Keywords without a fixed color (currentColor, inherit, var()) return null
+     * @param {string} value - CSS color value
+     * @returns {{r: number, g: number, b: number, a: number}|null} Parsed color
+     */
+    function parseColor(value) {
+        if (typeof value !== 'string') return null;
+        const v = value.trim().toLowerCase();
+        if (!v || v === 'none' || v === 'currentcolor' || v.includes('var(')) return null;
+        if (v === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+
+        if (HEX_REGEX.test(v)) return parseHex(v);
+
+        const rgb = v.match(RGB_REGEX);
+        if (rgb) {
+            return { r: +rgb[1], g: +rgb[2], b: +rgb[3], a: parseAlpha(rgb[4]) };
+        }
+
+        // Anything else (named, hsl, hwb...) goes through the canvas normalizer
+        const ctx = getNormalizer();
+        if (!ctx) return null;
+        ctx.fillStyle = '#010203';
+        ctx.fillStyle = v;
+        const normalized = String(ctx.fillStyle);
+        if (normalized === '#010203') return null;
+        if (HEX_REGEX.test(normalized)) return parseHex(normalized);
+        const fallback = normalized.match(RGB_REGEX);
+        return fallback ? { r: +fallback[1], g: +fallback[2], b: +fallback[3], a: parseAlpha(fallback[4]) } : null;
+    }
+
+    /**
+     * Formats RGBA components as a CSS color string
+     * @param {{r: number, g: number, b: number, a: number}} color - Color to format
+     * @returns {string} rgb() or rgba() string
+     */
+    function formatColor(color) {
+        const r = Math.round(color.r);
+        const g = Math.round(color.g);
+        const b = Math.round(color.b);
+        if (color.a === undefined || color.a >= 1) return `rgb(${r}, ${g}, ${b})`;
+        return `rgba(${r}, ${g}, ${b}, ${Math.round(color.a * 1000) / 1000})`;
+    }
+
+    // ============================================================================
+    // Perceptual Space (OKLab / OKLCH)
+    // ============================================================================
+
+    function toLinear(channel) {
+        const c = channel / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+
+    function fromLinear(value) {
+        const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+        return c * 255;
+    }
+
+    /**
+     * Converts an RGB color to OKLCH
+     * @param {{r: number, g: number, b: number}} color - sRGB color (0-255 channels)
+     * @returns {{l: number, c: number, h: number}} Lightness (0-1), chroma, hue in degrees
+     */
+    function rgbToOklch({ r, g, b }) {
+        const lr = toLinear(r);
+        const lg = toLinear(g);
+        const lb = toLinear(b);
+
+        const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+        const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+        const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+        const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+        const A = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+        const B = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+
+        const h = Math.atan2(B, A) * 180 / Math.PI;
+        return { l: L, c: Math.sqrt(A * A + B * B), h: h < 0 ? h + 360 : h };
+    }
+
+    function oklchToLinear({ l, c, h }) {
+        const rad = h * Math.PI / 180;
+        const A = c * Math.cos(rad);
+        const B = c * Math.sin(rad);
+
+        const l3 = Math.pow(l + 0.3963377774 * A + 0.2158037573 * B, 3);
+        const m3 = Math.pow(l - 0.1055613458 * A - 0.0638541728 * B, 3);
+        const s3 = Math.pow(l - 0.0894841775 * A - 1.2914855480 * B, 3);
+
+        return [
+            4.0767416621 * l3 - 3.3077115913 * m3 + 0.2309699292 * s3,
+            -1.2684380046 * l3 + 2.6097574011 * m3 - 0.3413193965 * s3,
+            -0.0041960863 * l3 - 0.7034186147 * m3 + 1.7076147010 * s3
+        ];
+    }
+
+    /**
+     * Converts OKLCH back to sRGB, reducing chroma until the color fits the gamut
+     * @param {{l: number, c: number, h: number}} lch - OKLCH color
+     * @returns {{r: number, g: number, b: number}} sRGB color (0-255 channels)
+     */
+    function oklchToRgb(lch) {
+        let c = lch.c;
+        let linear = oklchToLinear({ l: lch.l, c, h: lch.h });
+        for (let i = 0; i < 8 && linear.some(v => v < -0.0001 || v > 1.0001); i++) {
+            c *= 0.75;
+            linear = oklchToLinear({ l: lch.l, c, h: lch.h });
+        }
+        const [r, g, b] = linear.map(v => Math.max(0, Math.min(255, fromLinear(Math.max(0, Math.min(1, v))))));
+        return { r, g, b };
+    }
+
+    // ============================================================================
+    // Contrast (WCAG 2.x)
+    // ============================================================================
+
+    /**
+     * Relative luminance as defined by WCAG 2.x
+     * @param {{r: number, g: number, b: number}} color - sRGB color
+     * @returns {number} Luminance between 0 and 1
+     */
+    function relativeLuminance({ r, g, b }) {
+        return 0.2126 * toLinear(r) + 0.7152 * toLinear(g) + 0.0722 * toLinear(b);
+    }
+
+    /**
+     * WCAG contrast ratio between two opaque colors
+     * @param {Object} a - First color
+     * @param {Object} b - Second color
+     * @returns {number} Ratio between 1 and 21
+     */
+    function contrastRatio(a, b) {
+        const la = relativeLuminance(a);
+        const lb = relativeLuminance(b);
+        return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+    }
+
+    // ============================================================================
+    // Dark Remapping
+    // ============================================================================
+
+    // Lightness curves per color role. Backgrounds and borders are pushed dark,
+    // text is pushed light; colors already on the right side are kept.
+    const ROLE_CURVES = {
+        background: lch => (lch.l <= 0.4 ? lch : { l: 0.22 + (1 - lch.l) / 0.6 * 0.12, c: Math.min(lch.c * 0.6, 0.08), h: lch.h }),
+        border: lch => (lch.l <= 0.45 ? lch : { l: 0.3 + (1 - lch.l) / 0.55 * 0.15, c: Math.min(lch.c * 0.7, 0.1), h: lch.h }),
+        text: lch => (lch.l >= 0.65 ? lch : { l: 0.93 - lch.l / 0.65 * 0.18, c: Math.min(lch.c, 0.2), h: lch.h })
+    };
+
+    const remapCache = new Map();
+    const REMAP_CACHE_MAX = 5000;
+
+    /**
+     * Remaps a color for a dark theme while preserving its hue
+     * Results are cached per role and input value
+     * @param {string} value - CSS color value
+     * @param {string} role - 'background', 'text' or 'border'
+     * @returns {string|null} Remapped color, or null if the value is not a fixed color
+     */
+    function remapColor(value, role) {
+        const key = role + '|' + value;
+        if (remapCache.has(key)) return remapCache.get(key);
+
+        const curve = ROLE_CURVES[role];
+        const parsed = curve ? parseColor(value) : null;
+        let result = null;
+        if (parsed) {
+            if (parsed.a === 0) {
+                result = value;
+            } else {
+                const rgb = oklchToRgb(curve(rgbToOklch(parsed)));
+                result = formatColor({ r: rgb.r, g: rgb.g, b: rgb.b, a: parsed.a });
+            }
+        }
+
+        if (remapCache.size >= REMAP_CACHE_MAX) remapCache.clear();
+        remapCache.set(key, result);
+        return result;
+    }
+
+    // CSS named colors (CSS Color 4), the only bare words treated as colors
+    const NAMED_COLORS = [
+        'aliceblue', 'antiquewhite', 'aqua', 'aquamarine', 'azure', 'beige', 'bisque', 'black',
+        'blanchedalmond', 'blue', 'blueviolet', 'brown', 'burlywood', 'cadetblue', 'chartreuse',
+        'chocolate', 'coral', 'cornflowerblue', 'cornsilk', 'crimson', 'cyan', 'darkblue', 'darkcyan',
+        'darkgoldenrod', 'darkgray', 'darkgreen', 'darkgrey', 'darkkhaki', 'darkmagenta',
+        'darkolivegreen', 'darkorange', 'darkorchid', 'darkred', 'darksalmon', 'darkseagreen',
+        'darkslateblue', 'darkslategray', 'darkslategrey', 'darkturquoise', 'darkviolet', 'deeppink',
+        'deepskyblue', 'dimgray', 'dimgrey', 'dodgerblue', 'firebrick', 'floralwhite', 'forestgreen',
+        'fuchsia', 'gainsboro', 'ghostwhite', 'gold', 'goldenrod', 'gray', 'green', 'greenyellow',
+        'grey', 'honeydew', 'hotpink', 'indianred', 'indigo', 'ivory', 'khaki', 'lavender',
+        'lavenderblush', 'lawngreen', 'lemonchiffon', 'lightblue', 'lightcoral', 'lightcyan',
+        'lightgoldenrodyellow', 'lightgray', 'lightgreen', 'lightgrey', 'lightpink', 'lightsalmon',
+        'lightseagreen', 'lightskyblue', 'lightslategray', 'lightslategrey', 'lightsteelblue',
+        'lightyellow', 'lime', 'limegreen', 'linen', 'magenta', 'maroon', 'mediumaquamarine',
+        'mediumblue', 'mediumorchid', 'mediumpurple', 'mediumseagreen', 'mediumslateblue',
+        'mediumspringgreen', 'mediumturquoise', 'mediumvioletred', 'midnightblue', 'mintcream',
+        'mistyrose', 'moccasin', 'navajowhite', 'navy', 'oldlace', 'olive', 'olivedrab', 'orange',
+        'orangered', 'orchid', 'palegoldenrod', 'palegreen', 'paleturquoise', 'palevioletred',
+        'papayawhip', 'peachpuff', 'peru', 'pink', 'plum', 'powderblue', 'purple', 'rebeccapurple',
+        'red', 'rosybrown', 'royalblue', 'saddlebrown', 'salmon', 'sandybrown', 'seagreen', 'seashell',
+        'sienna', 'silver', 'skyblue', 'slateblue', 'slategray', 'slategrey', 'snow', 'springgreen',
+        'steelblue', 'tan', 'teal', 'thistle', 'tomato', 'turquoise', 'violet', 'wheat', 'white',
+        'whitesmoke', 'yellow', 'yellowgreen'
+    ];
+
+    // Color tokens inside compound values (box-shadow, gradients, ...). var() and url()
+    // come first so their contents (--shadow-white, url(#fade), red-arrow.png) are
+    // matched whole and passed through; named colors must stand alone, not inside an identifier
+    const COLOR_TOKEN_REGEX = new RegExp([
+        '\\b(?:var|url)\\((?:"[^"]*"|\'[^\']*\'|[^()"\']|\\([^()]*\\))*\\)',
+        '#[0-9a-f]{3,8}\\b',
+        '(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch)\\([^()]*\\)',
+        '(?<![\\w-])(?:' + NAMED_COLORS.join('|') + ')(?![\\w-])'
+    ].join('|'), 'gi');
+
+    function isPassThrough(token) {
+        return /^(?:var|url)\(/i.test(token);
+    }
+
+    /**
+     * Remaps every color found inside a compound CSS value
+     * Non-color words (inset, to, right, ...) and var()/url() contents are left as they are
+     * @param {string} value - CSS value containing colors
+     * @param {string} role - Role passed to remapColor
+     * @returns {string} Value with remapped colors
+     */
+    function replaceColors(value, role) {
+        if (typeof value !== 'string' || !value) return value;
+        return value.replace(COLOR_TOKEN_REGEX, token => (isPassThrough(token) ? token : remapColor(token, role) || token));
+    }
+
+    /**
+     * Finds every fixed color inside a compound CSS value
+     * @param {string} value - CSS value such as a gradient
+     * @returns {Array<{r: number, g: number, b: number, a: number}>} Parsed colors, in order
+     */
+    function extractColors(value) {
+        if (typeof value !== 'string') return [];
+        return (value.match(COLOR_TOKEN_REGEX) || []).filter(token => !isPassThrough(token)).map(parseColor).filter(Boolean);
+    }
+
+    // ============================================================================
+    // Image Statistics
+    // ============================================================================
+
+    // Side of the square images are downsampled to before measuring
+    const IMAGE_SAMPLE_SIZE = 32;
+
+    /**
+     * Summarizes RGBA pixel data from a canvas
+     * @param {Uint8ClampedArray} data - ImageData.data
+     * @returns {{luminance: number, transparency: number}} Mean luminance of visible
+     *   pixels (0-1) and the share of (near) transparent pixels (0-1)
+     */
+    function summarizePixels(data) {
+        let visible = 0;
+        let transparent = 0;
+        let luminance = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < 26) {
+                transparent++;
+                continue;
+            }
+            visible++;
+            luminance += relativeLuminance({ r: data[i], g: data[i + 1], b: data[i + 2] });
+        }
+        const total = visible + transparent;
+        return {
+            luminance: visible ? luminance / visible : 0,
+            transparency: total ? transparent / total : 0
+        };
+    }
+
+    /**
+     * Decides how an image should be treated on a dark page
+     * 'lineart' - dark strokes on a transparent background (icons, diagrams): invert
+     * 'bright'  - mostly light and opaque (product shots, screenshots): dim
+     * 'photo'   - everything else: leave alone
+     * @param {{luminance: number, transparency: number}} stats - From summarizePixels
+     * @returns {string} 'lineart', 'bright' or 'photo'
+     */
+    function classifyImage(stats) {
+        if (stats.transparency > 0.2 && stats.luminance < 0.2) return 'lineart';
+        if (stats.transparency <= 0.2 && stats.luminance > 0.7) return 'bright';
+        return 'photo';
+    }
+
+    // ============================================================================
+    // Export
+    // ============================================================================
+
+    const CyberdarkColor = {
+        parseColor,
+        formatColor,
+        rgbToOklch,
+        oklchToRgb,
+        relativeLuminance,
+        contrastRatio,
+        remapColor,
+        replaceColors,
+        extractColors,
+        IMAGE_SAMPLE_SIZE,
+        summarizePixels,
+        classifyImage
+    };
+
+    global.CyberdarkColor = CyberdarkColor;
+
+    // Node.js export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CyberdarkColor;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -2,18 +2,39 @@
 // Attached to global scope for access by other scripts without bundler
 
 (function (global) {
+    // Bumped when a stored setting changes meaning; see migrateSettings()
+    const SETTINGS_VERSION = 2;
+
     const DEFAULT_SETTINGS = {
+        settingsVersion: SETTINGS_VERSION,
         color1: '#00ffff',
         color2: '#00ff00',
         color3: '#ff00ff',
         color4: '#ff0000',
         textShadow: true,
-        highContrast: true,
+        textShadowIntensity: 'medium', // Neon glow: 'subtle' (headings), 'medium' (+ links) or 'strong' (all text)
+        highContrast: false, // Pure black/white theme with AAA contrast; opt-in since it restyles every surface
         focusOutline: true,
         reducedMotion: false,
-        fontSize: 16,
-        lineHeight: 1.5,
+        fontSize: 16, // Base text size; 16 keeps the site's own scale
+        lineHeight: 1.5, // Body text line height; 1.5 keeps the site's own
+        fontFamily: '', // Replacement font stack (presets may set one)
+        fontTarget: 'none', // Where fontFamily applies: 'none', 'body', 'mono' or 'both'
+        contrastFix: 'AA', // Lift text below this WCAG level: 'off', 'AA' or 'AAA'
+        searchStyle: 'gradient', // Detected search fields: 'gradient', 'border', 'glow' or 'plain'
+        imageAnalysis: true, // Dim bright images and invert dark line art
+        pdfTreatment: 'invert', // PDFs in the browser viewer: 'invert', 'sepia', 'tint' (palette hue) or 'off'
+        textViewer: true, // Pretty viewer for raw text, JSON, XML, CSS and JS responses
+        printDark: false, // Keep the dark theme when printing (off: print the site's light rendering)
+        codeTheme: 'palette', // Highlighted code: 'palette', a named theme from CODE_THEME_COLORS, or 'site' (keep the site's)
         colorBlindMode: 'none', // Changed from boolean to string enum
+        renderingMode: 'css', // 'css' (natural flow stylesheet), 'dynamic' (computed color remapping) or 'filter' (invert)
+        nativeDarkMode: 'soften', // Sites with their own dark theme: 'soften', 'skip' or 'ignore' (always apply)
+        nativeDarkSites: {}, // hostname -> 'apply' | 'skip' remembered from the in-page notice
+        emulateDarkScheme: true, // Turn on the site's own @media (prefers-color-scheme: dark) rules
+        frameOriginRules: false, // Frames also honor blacklist/per-site rules for their own hostname
+        siteMode: 'everywhere', // 'everywhere' (except the blacklist) or 'allowlist' (only matching sites)
+        allowlist: [], // URL rules Cyberdark runs on in allowlist mode
         blacklist: [],
         perSiteOverrides: {},
         enabled: true, // Global toggle
@@ -23,17 +44,70 @@
         debugMode: false
     };
 
-    const SITE_PROFILES = {
-        // Example profiles for specific sites
-    };
+    // Available rendering modes, in the order shown in the UI
+    const RENDERING_MODES = ['css', 'dynamic', 'filter'];
+
+    // Text glow intensities, weakest first
+    const TEXT_SHADOW_INTENSITIES = ['subtle', 'medium', 'strong'];
+
+    // Neon treatments for detected search fields
+    const SEARCH_STYLES = ['gradient', 'border', 'glow', 'plain'];
+
+    // Which text a replacement fontFamily applies to
+    const FONT_TARGETS = ['none', 'body', 'mono', 'both'];
 
-    const PROBLEMATIC_SITES = [
-        'docs.google.com',
-        'sheets.google.com',
-        'slides.google.com',
-        'figma.com',
-        'chrome.google.com'
-    ];
+    // Operating modes: on everywhere except the blacklist, or only on the allowlist
+    const SITE_MODES = ['everywhere', 'allowlist'];
+
+    // PDF viewer treatments, in the order shown in the UI
+    const PDF_TREATMENTS = ['invert', 'sepia', 'tint', 'off'];
+
+    // Code block themes, in the order shown in the UI
+    const CODE_THEMES = ['palette', 'phosphor', 'mono', 'crimson', 'site'];
+
+    // Token colors for the fixed code themes ('palette' is derived from the neon colors,
+    // 'site' leaves the page's highlighting alone)
+    const CODE_THEME_COLORS = {
+        phosphor: {
+            background: '#020c02',
+            text: '#33ff66',
+            comment: '#2e8b46',
+            keyword: '#00ff41',
+            string: '#b6ff9e',
+            number: '#ffb000',
+            function: '#7dffa0',
+            type: '#66ffcc',
+            variable: '#c8ffc8',
+            punctuation: '#5fbf6f',
+            meta: '#ff6b00'
+        },
+        mono: {
+            background: '#141414',
+            text: '#e0e0e0',
+            comment: '#8a8a8a',
+            keyword: '#ffffff',
+            string: '#c8c8c8',
+            number: '#d6d6d6',
+            function: '#f0f0f0',
+            type: '#e8e8e8',
+            variable: '#d0d0d0',
+            punctuation: '#a8a8a8',
+            meta: '#b8b8b8'
+        },
+        crimson: {
+            background: '#140505',
+            text: '#f0dada',
+            comment: '#9a6a6a',
+            keyword: '#ff4d4d',
+            string: '#ff9e9e',
+            number: '#ffb070',
+            function: '#ff7a9c',
+            type: '#ffc2c2',
+            variable: '#f5c8c8',
+            punctuation: '#c08080',
+            meta: '#ff0055'
+        }
+    };
 
     const PRESETS = {
         cyberpunk: {
@@ -42,7 +116,9 @@
             color3: '#ff00ff',
             color4: '#ff0000',
             textShadow: true,
-            highContrast: true
+            textShadowIntensity: 'strong',
+            highContrast: true,
+            codeTheme: 'palette'
         },
         minimal: {
             color1: '#ffffff',
@@ -50,8 +126,10 @@
             color3: '#aaaaaa',
             color4: '#888888',
             textShadow: false,
+            textShadowIntensity: 'subtle',
             highContrast: false,
-            reducedMotion: true
+            reducedMotion: true,
+            codeTheme: 'mono'
         },
         vampire: {
             color1: '#ff0000',
@@ -59,7 +137,9 @@
             color3: '#ff0000',
             color4: '#440000',
             textShadow: true,
-            highContrast: true
+            textShadowIntensity: 'medium',
+            highContrast: true,
+            codeTheme: 'crimson'
         },
         // Mission Control: NASA-style cockpit lighting for deep work
         // Inspired by spacecraft instrument panels - optimized for night vision
@@ -70,9 +150,12 @@
             color3: '#ff6b00',      // Warning orange (alerts)
             color4: '#003300',      // Deep green (backgrounds)
             textShadow: true,       // Subtle glow for CRT effect
+            textShadowIntensity: 'subtle',
             highContrast: true,     // Maximum readability
             fontSize: 14,           // Slightly smaller, info-dense
-            fontFamily: '"Share Tech Mono", "SF Mono", "Consolas", monospace' // NASA-style
+            fontFamily: '"Share Tech Mono", "SF Mono", "Consolas", monospace', // NASA-style
+            fontTarget: 'both',     // Instrument-panel mono everywhere
+            codeTheme: 'phosphor'   // Green phosphor terminal
         }
     };
 
@@ -110,6 +193,34 @@
         }
     };
 
+    /**
+     * Upgrades settings saved by an older version. Version 2: highContrast became the
+     * pure black/white theme. It used to be on by default for milder tweaks, so only that
+     * old default is switched off (callers tell the user, see HIGH_CONTRAST_NOTICE);
+     * any other value is kept.
+     * @param {Object} settings - Stored or imported settings
+     * @returns {Object} Settings at SETTINGS_VERSION (the same object if already current)
+     */
+    function migrateSettings(settings) {
+        if (!settings || typeof settings !== 'object') return settings;
+        if (settings.settingsVersion >= SETTINGS_VERSION) return settings;
+        const migrated = Object.assign({}, settings, { settingsVersion: SETTINGS_VERSION });
+        if (settings.highContrast === true) migrated.highContrast = false;
+        return migrated;
+    }
+
+    // Shown once in the popup or options page after an update switched high contrast off
+    const MIGRATION_NOTICE_KEY = 'cyberdarkMigrationNotice';
+    const HIGH_CONTRAST_NOTICE = 'High contrast is now a pure black and white theme, so the update switched it off. Turn it back on in the settings if you want it.';
+
+    // Per-site custom CSS lives in its own sync item per hostname, so one site's CSS
+    // can't push the shared settings item past its 8KB quota
+    const CUSTOM_CSS_PREFIX = 'cyberdarkCss:';
+
+    function customCssKey(hostname) {
+        return CUSTOM_CSS_PREFIX + String(hostname || '').toLowerCase();
+    }
+
     // Precise hostname matching: exact or subdomain of pattern
     function hostMatches(hostname, pattern) {
         if (!hostname || !pattern) return false;
@@ -118,17 +229,258 @@
         return h === p || h.endsWith('.' + p);
     }
 
-    // Helper to check if a domain is blacklisted
-    function isBlacklisted(domain, blacklist = []) {
+    // Hostname of a URL, '' for about:blank and unparsable values
+    function hostnameOf(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (_) {
+            return '';
+        }
+    }
+
+    // ============================================================================
+    // URL Rules
+    // ============================================================================
+
+    const DEFAULT_PORTS = { 'http:': '80', 'https:': '443', 'ws:': '80', 'wss:': '443', 'ftp:': '21' };
+    const URL_RULE_CACHE_MAX = 2000;
+    const urlRuleCache = new Map();
+
+    function escapeRegExp(text) {
+        return text.replace(/[.+?^${}()|[\]\\/]/g, '\\$&');
+    }
+
+    /**
+     * Compiles a URL rule. Blacklist entries, per-site override keys and site-fix
+     * url patterns all use this syntax:
+     *   example.com             the host and its subdomains, any path
+     *   *.corp.local, app-*.io  host wildcards; a leading "*." also matches the bare domain
+     *   localhost:3000          a single port
+     *   example.com/admin       the path and everything under it; with "*" the path is a glob (example.com/admin/*)
+     *   https://example.com     a single scheme
+     *   /^https:\/\/x\.io\/\d+/i  regular expression tested against the full URL
+     * @param {string} pattern - Rule pattern
+     * @returns {Object|null} Compiled rule, or null when the pattern is invalid
+     */
+    function parseUrlRule(pattern) {
+        if (urlRuleCache.has(pattern)) return urlRuleCache.get(pattern);
+        if (urlRuleCache.size >= URL_RULE_CACHE_MAX) urlRuleCache.clear();
+
+        let rule = null;
+        const regex = typeof pattern === 'string' && /^\/(.+)\/([imsu]*)$/.exec(pattern);
+        const glob = typeof pattern === 'string' && !regex &&
+            /^(?:([a-z][a-z0-9+.-]*|\*):\/\/)?([a-z0-9*-]+(?:\.[a-z0-9*-]+)*)(?::(\d{1,5}|\*))?(\/\S*)?$/i.exec(pattern.trim());
+        if (regex) {
+            try {
+                rule = { regex: new RegExp(regex[1], regex[2]), specificity: [0, 0, 0, 0, 0, 0] };
+            } catch (_) {
+                rule = null;
+            }
+        } else if (glob) {
+            const [, scheme, rawHost, port, path = ''] = glob;
+            const host = rawHost.toLowerCase();
+            const anySubdomain = host.startsWith('*.');
+            const hostBody = anySubdomain ? host.slice(2) : host;
+            rule = {
+                scheme: scheme && scheme !== '*' ? scheme.toLowerCase() + ':' : null,
+                port: port && port !== '*' ? port : null,
+                host: host === '*' ? null : host,
+                hostRegex: host !== '*' && (hostBody.includes('*') || anySubdomain)
+                    ? new RegExp('^' + (anySubdomain ? '(?:[^.]+\\.)*' : '') + escapeRegExp(hostBody).replace(/\*/g, '[^.]*') + '$')
+                    : null,
+                path,
+                pathRegex: path.includes('*') ? new RegExp('^' + escapeRegExp(path).replace(/\*/g, '.*') + '$') : null,
+                // Compared in order: path, host, exact host, port, scheme; regex rules rank last
+                specificity: [
+                    1,
+                    path.replace(/\*/g, '').length,
+                    host.replace(/\*\.?/g, '').length,
+                    host.includes('*') ? 0 : 1,
+                    port && port !== '*' ? 1 : 0,
+                    scheme && scheme !== '*' ? 1 : 0
+                ]
+            };
+        }
+
+        urlRuleCache.set(pattern, rule);
+        return rule;
+    }
+
+    // Accepts URL objects, URL strings and bare hostnames
+    function toUrl(value) {
+        if (value instanceof URL) return value;
+        try {
+            return new URL(value);
+        } catch (_) {
+            try {
+                return value ? new URL('https://' + value + '/') : null;
+            } catch (_) {
+                return null;
+            }
+        }
+    }
+
+    /**
+     * Tests one rule pattern against a URL
+     * @param {string} pattern - Rule pattern (see parseUrlRule)
+     * @param {URL|string} url - Page URL or hostname
+     * @returns {boolean} True when the rule covers the URL
+     */
+    function urlRuleMatches(pattern, url) {
+        const rule = parseUrlRule(pattern);
+        const target = toUrl(url);
+        if (!rule || !target) return false;
+        if (rule.regex) return rule.regex.test(target.href);
+
+        if (rule.scheme && target.protocol !== rule.scheme) return false;
+        if (rule.port && (target.port || DEFAULT_PORTS[target.protocol] || '') !== rule.port) return false;
+        const hostname = target.hostname.toLowerCase();
+        if (rule.hostRegex ? !rule.hostRegex.test(hostname) : (rule.host && !hostMatches(hostname, rule.host))) return false;
+        if (rule.pathRegex) return rule.pathRegex.test(target.pathname);
+        // Prefixes end at a segment boundary: /admin covers /admin/users but not /administrator
+        const path = target.pathname;
+        return !rule.path || path === rule.path || path.startsWith(rule.path.replace(/\/?$/, '/'));
+    }
+
+    /**
+     * Whether a rule names exactly this host (no wildcards or regex). Such rules are
+     * the popup's to remove; broader ones cover other sites too
+     * @param {string} pattern - Rule pattern (see parseUrlRule)
+     * @param {string} hostname - Hostname
+     * @returns {boolean} True when the rule's host is the hostname
+     */
+    function ruleNamesHost(pattern, hostname) {
+        const rule = parseUrlRule(pattern);
+        return !!rule && !rule.regex && !rule.hostRegex && rule.host === String(hostname).toLowerCase();
+    }
+
+    function compareSpecificity(a, b) {
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return a[i] - b[i];
+        }
+        return 0;
+    }
+
+    /**
+     * Every pattern that covers a URL, least specific first, so applying them in
+     * order lets the most specific win (ties keep list order)
+     * @param {string[]} patterns - Rule patterns
+     * @param {URL|string} url - Page URL or hostname
+     * @returns {string[]} Matching patterns
+     */
+    function matchUrlRules(patterns, url) {
+        if (!Array.isArray(patterns)) return [];
+        const target = toUrl(url);
+        if (!target) return [];
+        return patterns
+            .filter(pattern => urlRuleMatches(pattern, target))
+            .sort((a, b) => compareSpecificity(parseUrlRule(a).specificity, parseUrlRule(b).specificity));
+    }
+
+    // Helper to check if a page is blacklisted; accepts a URL or a hostname
+    function isBlacklisted(url, blacklist = []) {
         try {
-            return (
-                Array.isArray(blacklist) && blacklist.some(d => hostMatches(domain, d))
-            ) || PROBLEMATIC_SITES.some(d => hostMatches(domain, d));
+            return matchUrlRules(blacklist, url).length > 0;
         } catch (_) {
             return false;
         }
     }
 
+    // Helper to check the operating mode: in allowlist mode only matching pages run
+    function isAllowed(url, settings) {
+        if (!settings || settings.siteMode !== 'allowlist') return true;
+        return matchUrlRules(settings.allowlist, url).length > 0;
+    }
+
+    /**
+     * First-paint variant for resolved settings: the background a themed page ends up with.
+     * High contrast pins pure black, except in filter mode, whose root keeps the standard
+     * dark background. The background worker registers emergency.js per variant.
+     * @param {Object} settings - Resolved settings
+     * @returns {string} 'contrast' or 'dark'
+     */
+    function firstPaintVariant(settings) {
+        return settings && settings.highContrast && settings.renderingMode !== 'filter' ? 'contrast' : 'dark';
+    }
+
+    /**
+     * Converts a URL rule to extension match patterns (chrome.scripting registration).
+     * Patterns can't express regexes or mid-host wildcards, and registrations that
+     * match about:blank frames by origin only accept "/*" paths, so those rules yield
+     * none; a port is kept (a "*" port matches any)
+     * @param {string} pattern - Rule pattern (see parseUrlRule)
+     * @param {Object} [options]
+     * @param {boolean} [options.widen=false] - Cover a path rule's whole host instead of
+     *   yielding none, for registrations that may run too widely but not too narrowly
+     * @returns {string[]} Match patterns, empty when the rule can't be expressed
+     */
+    function toMatchPatterns(pattern, { widen = false } = {}) {
+        const rule = parseUrlRule(pattern);
+        if (!rule || rule.regex) return [];
+        if (rule.scheme && rule.scheme !== 'http:' && rule.scheme !== 'https:') return [];
+        if (!widen && rule.path && rule.path !== '/' && rule.path !== '/*') return [];
+
+        let host = '*';
+        if (rule.hostRegex) {
+            const body = rule.host.slice(2);
+            if (!rule.host.startsWith('*.') || body.includes('*')) return [];
+            host = '*.' + body;
+        } else if (rule.host) {
+            // Bare hosts cover their subdomains (hostMatches); IP addresses have none
+            host = /^[\d.]+$/.test(rule.host) ? rule.host : '*.' + rule.host;
+        }
+
+        return [(rule.scheme ? rule.scheme.slice(0, -1) : '*') + '://' + host + (rule.port ? ':' + rule.port : '') + '/*'];
+    }
+
+    /**
+     * Merges stored settings with defaults, site fixes and per-site overrides for a page
+     * Shared by content scripts (top frame) and the background worker (sub-frames),
+     * so every frame in a tab resolves against the same top-level site
+     * @param {Object} stored - Raw storage result ({cyberdarkEnabled, cyberdarkSettings, the
+     *   customCssKey() items for these hostnames and, from local storage, cyberdarkUserFixes})
+     * @param {string} topUrl - URL of the tab's top-level document
+     * @param {string} [frameUrl] - URL of a sub-frame
+     * @returns {{enabled: boolean, blacklisted: boolean, settings: Object}} Resolved state;
+     *   settings.customCss holds the site's raw custom CSS, if any, and settings.siteFix the
+     *   site fix for this document (see CyberdarkSiteFixes.resolveSiteFix)
+     */
+    function resolveSiteSettings(stored, topUrl, frameUrl) {
+        const topHostname = hostnameOf(topUrl);
+        const frameHostname = frameUrl ? hostnameOf(frameUrl) : '';
+        const base = Object.assign({}, DEFAULT_SETTINGS, (stored && stored.cyberdarkSettings) || {});
+        const overrides = base.perSiteOverrides || {};
+
+        // Fixes describe a document, so a sub-frame gets its own; either one can skip it
+        const siteFixes = global.CyberdarkSiteFixes;
+        const userFixes = siteFixes && stored ? stored[siteFixes.USER_FIXES_KEY] : null;
+        const topFix = siteFixes ? siteFixes.resolveSiteFix(topUrl, userFixes) : null;
+        const siteFix = siteFixes && frameUrl && frameUrl !== topUrl ? siteFixes.resolveSiteFix(frameUrl, userFixes) : topFix;
+        const fixMode = siteFix && siteFix.mode ? { renderingMode: siteFix.mode } : {};
+
+        const settings = Object.assign({}, base, fixMode);
+        const applyOverrides = (url) => matchUrlRules(Object.keys(overrides), url).forEach(pattern => Object.assign(settings, overrides[pattern]));
+        applyOverrides(topUrl);
+        const siteCss = (hostname) => (stored && typeof stored[customCssKey(hostname)] === 'string' ? stored[customCssKey(hostname)] : '');
+        settings.customCss = siteCss(topHostname);
+        settings.siteFix = siteFix;
+
+        // Frames follow the tab's site: allowlist mode checks the top-level page
+        let blacklisted = isBlacklisted(topUrl, settings.blacklist) || !isAllowed(topUrl, base) ||
+            !!(topFix && topFix.skip) || !!(siteFix && siteFix.skip);
+        if (frameHostname && frameUrl !== topUrl && settings.frameOriginRules) {
+            applyOverrides(frameUrl);
+            settings.customCss = siteCss(frameHostname) || settings.customCss;
+            blacklisted = blacklisted || isBlacklisted(frameUrl, settings.blacklist);
+        }
+
+        return {
+            enabled: !!stored && stored.cyberdarkEnabled === true,
+            blacklisted,
+            settings
+        };
+    }
+
     // Logger Mechanism
     const Logger = {
         logs: [],
@@ -163,13 +515,34 @@
     };
 
     global.CyberdarkConfig = {
+        SETTINGS_VERSION,
         DEFAULT_SETTINGS,
-        SITE_PROFILES,
-        PROBLEMATIC_SITES,
         PRESETS,
+        RENDERING_MODES,
+        TEXT_SHADOW_INTENSITIES,
+        FONT_TARGETS,
+        SEARCH_STYLES,
+        CODE_THEMES,
+        CODE_THEME_COLORS,
+        PDF_TREATMENTS,
+        SITE_MODES,
         FEATURES,
         COLORBLIND_PALETTES,
         isBlacklisted,
+        isAllowed,
+        toMatchPatterns,
+        firstPaintVariant,
+        parseUrlRule,
+        urlRuleMatches,
+        ruleNamesHost,
+        matchUrlRules,
+        resolveSiteSettings,
+        hostnameOf,
+        CUSTOM_CSS_PREFIX,
+        customCssKey,
+        migrateSettings,
+        MIGRATION_NOTICE_KEY,
+        HIGH_CONTRAST_NOTICE,
         Logger,
         hostMatches
     };
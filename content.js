@@ -1,7 +1,7 @@
 // === EMERGENCY DARK MODE ===
-// Prevents flashbang by applying dark background BEFORE async storage loads
-// Removed gracefully if extension is disabled or full styles are applied
-// Uses pitch-black (#0a0a0a) for maximum eye protection
+// emergency.js paints a dark background BEFORE async storage loads; the background
+// worker registers it only where Cyberdark may run (see syncEmergencyScript)
+// Removed gracefully here if extension is disabled or full styles are applied
 
 // === Module-level state flags (declared early for use in emergency removal) ===
 // Prevents multiple animation triggers during emergency dark removal
@@ -10,93 +10,8 @@ let emergencyRemovalInProgress = false;
 let storageListenerRegistered = false;
 // MutationObserver for dynamic media elements
 let mediaObserver = null;
-
-(function injectEmergencyDark() {
-  'use strict';
-
-  // Check feature flag (defaults to enabled if config not loaded yet)
-  const featureEnabled = typeof CyberdarkConfig === 'undefined' ||
-    !CyberdarkConfig.FEATURES ||
-    CyberdarkConfig.FEATURES.emergencyDarkMode !== false;
-
-  if (!featureEnabled) return;
-
-  // Skip PDFs - browser handles these differently
-  if (window.location.pathname.endsWith('.pdf') ||
-      document.contentType === 'application/pdf') {
-    return;
-  }
-
-  // Inject color-scheme meta tag for browser hint
-  const meta = document.createElement('meta');
-  meta.name = 'color-scheme';
-  meta.content = 'dark only';
-  (document.head || document.documentElement).appendChild(meta);
-
-  // Create emergency stylesheet
-  const emergency = document.createElement('style');
-  emergency.id = 'cyberdark-emergency';
-  emergency.textContent = `
-    /* Emergency dark - maximum protection */
-    html {
-      background-color: #0a0a0a !important;
-      color-scheme: dark !important;
-    }
-
-    /* Overlay to catch any white flashes */
-    html::before {
-      content: '';
-      position: fixed;
-      inset: 0;
-      background: #0a0a0a;
-      z-index: 2147483646;
-      pointer-events: none;
-    }
-
-    /* Force dark on common white patterns */
-    body, main, article, section, div, header, footer, nav, aside {
-      background-color: #0a0a0a !important;
-    }
-
-    /* Skeleton loaders and loading states */
-    [class*="skeleton"], [class*="loading"], [class*="placeholder"],
-    [class*="shimmer"], [class*="pulse"] {
-      background-color: #1a1a1a !important;
-      animation: none !important;
-    }
-
-    /* Modal backdrops */
-    [class*="modal"], [class*="overlay"], [class*="backdrop"],
-    [role="dialog"], [role="alertdialog"] {
-      background-color: rgba(0,0,0,0.9) !important;
-    }
-
-    /* Cross-origin iframe coverage */
-    iframe {
-      background-color: #0a0a0a !important;
-      border-color: #333 !important;
-    }
-
-    /* Canvas/video protection until content loads */
-    canvas:not([data-cyberdark-ready]),
-    video:not([data-cyberdark-ready]) {
-      filter: brightness(0.1);
-      transition: filter 0.3s ease;
-    }
-    canvas[data-cyberdark-ready],
-    video[data-cyberdark-ready] {
-      filter: none;
-    }
-
-    /* Text color for readability during emergency phase */
-    html, body {
-      color: #e0e0e0 !important;
-    }
-  `;
-
-  // Inject into documentElement (head doesn't exist yet at document_start)
-  (document.head || document.documentElement).appendChild(emergency);
-})();
+// Sub-frames take their settings from the background worker (resolved for the top-level site)
+const isTopFrame = window === window.top;
 
 // === Graceful Emergency Removal ===
 function removeEmergencyDark(animate = true) {
@@ -136,17 +51,29 @@ const validate = typeof CyberdarkValidate !== 'undefined' ? CyberdarkValidate :
 // Use global config if available, otherwise fallback (should be available via manifest injection)
 const config = typeof CyberdarkConfig !== 'undefined' ? CyberdarkConfig : {
   DEFAULT_SETTINGS: {
+    settingsVersion: 2,
     color1: '#00ffff',
     color2: '#00ff00',
     color3: '#ff00ff',
     color4: '#ff0000',
     textShadow: true,
-    highContrast: true,
+    highContrast: false,
     focusOutline: true,
     reducedMotion: false,
     fontSize: 16,
     lineHeight: 1.5,
+    fontFamily: '',
+    fontTarget: 'none',
+    contrastFix: 'AA',
+    searchStyle: 'gradient',
+    imageAnalysis: true,
+    codeTheme: 'palette',
+    printDark: false,
+    textViewer: true,
+    pdfTreatment: 'invert',
     colorBlindMode: false,
+    siteMode: 'everywhere',
+    allowlist: [],
     blacklist: [],
     perSiteOverrides: {},
     enabled: true
@@ -156,45 +83,547 @@ const config = typeof CyberdarkConfig !== 'undefined' ? CyberdarkConfig : {
 
 const cyberdarkDefaults = config.DEFAULT_SETTINGS;
 
-// Site detection: Check if site already has dark mode
-// NOTE: Reserved for future optimization - could skip style injection on sites
-// that already have native dark mode, reducing visual disruption.
-// Not currently called to ensure consistent behavior across all sites.
-// To use: Check `hasNativeDarkMode()` in `loadAndApplyCyberdark()` and skip if true.
-function hasNativeDarkMode() {
-  // Check for common dark mode classes on body/html
-  if (document.documentElement.classList.contains('dark') || document.body.classList.contains('dark')) return true;
-  if (document.documentElement.getAttribute('data-theme') === 'dark') return true;
+// === Native Dark Mode Detection ===
+// Sites that already ship a dark theme get skipped or softened instead of
+// double-darkened. Signals: color-scheme meta, prefers-color-scheme rules,
+// theme classes/attributes and the sampled page background.
+const DARK_THEME_CLASS = /(^|[-_])dark([-_]?(mode|theme))?$|^theme[-_]dark$/i;
+const DARK_THEME_ATTRS = ['data-theme', 'data-color-mode', 'data-bs-theme', 'data-mode', 'data-color-scheme', 'theme'];
+
+// Cached per page load: the site's own theme doesn't change when our settings do
+let nativeDarkResult = null;
+let nativeDarkNoticeShown = false;
+
+function hasDarkThemeMarker(el) {
+  if (!el) return false;
+  if (Array.from(el.classList).some(c => DARK_THEME_CLASS.test(c))) return true;
+  return DARK_THEME_ATTRS.some(attr => /^dark/i.test(el.getAttribute(attr) || ''));
+}
 
-  // Check computed background color of body
-  const bg = window.getComputedStyle(document.body).backgroundColor;
-  const rgb = bg.match(/\d+/g);
-  if (rgb) {
-    const brightness = (parseInt(rgb[0]) * 299 + parseInt(rgb[1]) * 587 + parseInt(rgb[2]) * 114) / 1000;
-    if (brightness < 50) return true; // Already dark
+// Composite background colors up the ancestor chain until an opaque one is found
+function effectiveBackground(el) {
+  const layers = [];
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    const bg = colorUtils.parseColor(window.getComputedStyle(node).backgroundColor);
+    if (bg && bg.a > 0) {
+      layers.push(bg);
+      if (bg.a >= 1) break;
+    }
+  }
+  let result = { r: 255, g: 255, b: 255 }; // Default light canvas
+  for (let i = layers.length - 1; i >= 0; i--) {
+    const { r, g, b, a } = layers[i];
+    result = {
+      r: r * a + result.r * (1 - a),
+      g: g * a + result.g * (1 - a),
+      b: b * a + result.b * (1 - a)
+    };
+  }
+  return result;
+}
+
+// Average luminance of the body and a few points across the viewport
+function samplePageLuminance() {
+  const samples = [effectiveBackground(document.body)];
+  const w = window.innerWidth;
+  const h = window.innerHeight;
+  [[0.5, 0.5], [0.25, 0.25], [0.75, 0.25], [0.25, 0.75], [0.75, 0.75]].forEach(([x, y]) => {
+    const el = document.elementFromPoint(w * x, h * y);
+    if (el) samples.push(effectiveBackground(el));
+  });
+  return samples.reduce((sum, c) => sum + colorUtils.relativeLuminance(c), 0) / samples.length;
+}
+
+function hasDarkSchemeRules(rules, depth = 0) {
+  if (!rules || depth > 4) return false;
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    if (rule.type === CSSRule.MEDIA_RULE && /prefers-color-scheme\s*:\s*dark/i.test(rule.media.mediaText)) return true;
+    if (rule.type === CSSRule.IMPORT_RULE && rule.styleSheet) {
+      let imported = null;
+      try { imported = rule.styleSheet.cssRules; } catch (_) { /* cross-origin */ }
+      if (hasDarkSchemeRules(imported, depth + 1)) return true;
+    } else if (rule.cssRules && hasDarkSchemeRules(rule.cssRules, depth + 1)) {
+      return true;
+    }
   }
   return false;
 }
 
-function applyCyberdarkStyles(settings) {
+// Run a measurement with every Cyberdark sheet (including emergency dark) switched off.
+// The emulated color-scheme sheet stays on: it is the site's own theme.
+// Style recalc is synchronous, so nothing paints in between.
+function withCyberdarkSheetsDisabled(fn) {
+  const disabled = [];
+  for (const sheet of document.styleSheets) {
+    const emulated = sheet.ownerNode && sheet.ownerNode.getAttribute('data-cyberdark') === 'color-scheme';
+    if (isCyberdarkSheet(sheet) && !emulated && !sheet.disabled) {
+      sheet.disabled = true;
+      disabled.push(sheet);
+    }
+  }
   try {
-    // Accessibility & UX: font size, line height, color-blind friendly palette
-    const { fontSize, lineHeight, colorBlindMode } = settings;
+    return fn();
+  } finally {
+    disabled.forEach(sheet => { sheet.disabled = false; });
+  }
+}
+
+function detectNativeDarkMode() {
+  const signals = [];
+  const osDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
 
-    let palette = { color1: settings.color1, color2: settings.color2, color3: settings.color3, color4: settings.color4 };
+  const meta = document.querySelector('meta[name="color-scheme"]:not([data-cyberdark])');
+  const schemes = meta ? (meta.content || '').toLowerCase().split(/\s+/) : [];
+  if (schemes[0] === 'dark' && !schemes.includes('light')) signals.push(['meta-dark-only', 2]);
+  else if (schemes.includes('dark') && osDark) signals.push(['meta-dark', 1]);
 
-    // Handle legacy boolean
-    let mode = colorBlindMode;
-    if (mode === true) mode = 'protanopia';
+  if (osDark && Array.from(document.styleSheets).some(sheet => {
+    if (isCyberdarkSheet(sheet)) return false;
+    try { return hasDarkSchemeRules(sheet.cssRules); } catch (_) { return false; }
+  })) {
+    signals.push(['media-rules', 1]);
+  }
+  if (colorSchemeRuleCount > 0) signals.push(['emulated-scheme', 2]);
+
+  if (hasDarkThemeMarker(document.documentElement) || hasDarkThemeMarker(document.body)) signals.push(['theme-marker', 2]);
+
+  const luminance = colorUtils && document.body ? withCyberdarkSheetsDisabled(samplePageLuminance) : null;
+  if (luminance !== null && luminance < 0.05) signals.push(['luminance', 2]);
+
+  const score = signals.reduce((sum, [, weight]) => sum + weight, 0);
+  // A clearly light page wins over stale markers
+  const dark = score >= 2 && !(luminance !== null && luminance > 0.4);
+  return { dark, signals: signals.map(([name]) => name), luminance };
+}
+
+// Site detection: Check if site already has dark mode
+function hasNativeDarkMode() {
+  if (!nativeDarkResult) {
+    nativeDarkResult = detectNativeDarkMode();
+    if (config.Logger) config.Logger.debug('Native dark mode detection', nativeDarkResult);
+  }
+  return nativeDarkResult.dark;
+}
+
+// Decide how to treat this page: 'apply', 'soften' or 'skip'
+function resolveNativeDarkAction(settings) {
+  const action = settings.nativeDarkMode || 'soften';
+  if (action === 'ignore') return 'apply';
+
+  const remembered = settings.nativeDarkSites && settings.nativeDarkSites[window.location.hostname];
+  if (remembered === 'apply' || remembered === 'skip') return remembered;
+
+  if (!document.body || !hasNativeDarkMode()) return 'apply';
+  return action;
+}
+
+// Softened: keep accessibility helpers, leave the site's own colors alone
+function applySoftenedStyles(settings) {
+  const target = document.head || document.documentElement;
+  if (!target) return;
 
-    if (mode && mode !== 'none' && config.COLORBLIND_PALETTES && config.COLORBLIND_PALETTES[mode]) {
-      palette = config.COLORBLIND_PALETTES[mode];
+  let style = target.querySelector('style[data-cyberdark="soften"]');
+  if (!style) {
+    style = document.createElement('style');
+    style.setAttribute('data-cyberdark', 'soften');
+    style.media = ownedSheetMedia();
+    target.appendChild(style);
+  }
+  style.textContent = `
+    :focus {
+      ${settings.focusOutline ? 'outline: 2px solid #4db8ff !important; outline-offset: 2px;' : ''}
     }
+    ${settings.reducedMotion ? '* { animation: none !important; transition: none !important; }' : ''}
+  `;
+}
+
+function removeSoftenedStyles() {
+  const style = document.querySelector('style[data-cyberdark="soften"]');
+  if (style) style.remove();
+}
 
-    // SECURITY: Sanitize all color values to prevent XSS
-    if (validate) {
-      palette = validate.sanitizeColorPalette(palette, cyberdarkDefaults);
+// Remember "apply anyway" / "always skip here" for this hostname
+function rememberNativeDarkDecision(decision) {
+  const hostname = window.location.hostname;
+  chrome.storage.sync.get(['cyberdarkSettings'], (result) => {
+    if (chrome.runtime.lastError) {
+      if (config.Logger) config.Logger.warn('Could not read settings', chrome.runtime.lastError.message);
+      return;
     }
+    let settings = Object.assign({}, cyberdarkDefaults, result.cyberdarkSettings || {});
+    const sites = Object.assign({}, settings.nativeDarkSites || {});
+    sites[hostname] = decision;
+    settings.nativeDarkSites = sites;
+
+    // Same checks as the options page before anything reaches sync storage
+    if (validate) settings = validate.validateSettingsObject(settings, cyberdarkDefaults);
+    if (validate && !validate.fitsInSyncQuota(settings)) {
+      if (config.Logger) config.Logger.warn('Settings too large to remember native dark decision', { hostname });
+      return;
+    }
+
+    chrome.storage.sync.set({ cyberdarkSettings: settings }, () => {
+      if (chrome.runtime.lastError && config.Logger) {
+        config.Logger.warn('Could not remember native dark decision', chrome.runtime.lastError.message);
+      }
+    });
+  });
+}
+
+const cyberdarkNoticeCSS = `
+#cyberdark-native-notice {
+  position: fixed;
+  bottom: 16px;
+  right: 16px;
+  max-width: 320px;
+  background-color: #1a1a1a;
+  color: #e0e0e0;
+  border: 1px solid #444;
+  padding: 10px 12px;
+  border-radius: 8px;
+  box-shadow: 0 4px 12px rgba(0,0,0,0.4);
+  z-index: 2147483647;
+  font: 13px/1.4 system-ui, -apple-system, sans-serif;
+  opacity: 0;
+  transform: translateY(10px);
+  transition: opacity 0.3s ease, transform 0.3s ease;
+}
+
+#cyberdark-native-notice.visible {
+  opacity: 1;
+  transform: translateY(0);
+}
+
+#cyberdark-native-notice .cyberdark-notice-actions {
+  display: flex;
+  gap: 8px;
+  margin-top: 8px;
+}
+
+#cyberdark-native-notice button {
+  all: unset;
+  cursor: pointer;
+  padding: 4px 8px;
+  border: 1px solid #4db8ff;
+  border-radius: 4px;
+  color: #4db8ff;
+  font-size: 12px;
+}
+`;
+
+function showNativeDarkNotice(action) {
+  if (nativeDarkNoticeShown || !document.body) return;
+  nativeDarkNoticeShown = true;
+
+  const target = document.head || document.documentElement;
+  if (target && !target.querySelector('#cyberdark-notice-style')) {
+    const style = document.createElement('style');
+    style.id = 'cyberdark-notice-style';
+    style.textContent = cyberdarkNoticeCSS;
+    target.appendChild(style);
+  }
+
+  const notice = document.createElement('div');
+  notice.id = 'cyberdark-native-notice';
+  notice.setAttribute('data-cyberdark-ui', 'true');
+  notice.setAttribute('role', 'status');
+
+  const text = document.createElement('div');
+  text.textContent = action === 'skip'
+    ? 'This site has its own dark theme, so Cyberdark is off here.'
+    : 'This site has its own dark theme, so Cyberdark only adds accessibility styles.';
+
+  const actions = document.createElement('div');
+  actions.className = 'cyberdark-notice-actions';
+  const dismiss = () => {
+    notice.classList.remove('visible');
+    setTimeout(() => notice.remove(), 300);
+  };
+  [['Apply anyway', 'apply'], ['Always skip here', 'skip']].forEach(([label, decision]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      rememberNativeDarkDecision(decision);
+      dismiss();
+    });
+    actions.appendChild(button);
+  });
+
+  notice.appendChild(text);
+  notice.appendChild(actions);
+  document.body.appendChild(notice);
+
+  requestAnimationFrame(() => notice.classList.add('visible'));
+  // Unobtrusive: goes away on its own
+  setTimeout(dismiss, 10000);
+}
+
+// === Typography ===
+// Text is scaled through the root font size, so rem/em-based text grows while
+// fixed pixel layouts stay as designed. Line height only touches running text.
+const BASE_FONT_SIZE = 16;
+
+// Running text outside navigation, toolbars and other UI chrome
+const BODY_TEXT_SELECTOR = ':where(p, li, dd, dt, blockquote, figcaption, td)' +
+  ':not(:where(nav, header, footer, button, [role="navigation"], [role="menu"], [role="menubar"], [role="toolbar"], [role="tablist"]) *)';
+
+// Icon fonts render glyphs from private-use code points; a text font would show boxes
+const ICON_FONT_SELECTOR = '.fa, .fas, .far, .fab, .fal, [class^="fa-"], [class*=" fa-"], [class*="icon"], [class*="Icon"], ' +
+  '.material-icons, [class*="material-symbols"], .glyphicon, [data-icon], i[aria-hidden="true"], span[aria-hidden="true"]';
+const ICON_FONT_EXCLUSIONS = `:not(:where(${ICON_FONT_SELECTOR}))`;
+
+const MONO_SELECTOR = 'code, pre, kbd, samp, tt, pre *, code *';
+
+// The page's own root size, measured without our sheets
+function getPageRootFontSize() {
+  const size = withCyberdarkSheetsDisabled(() => parseFloat(window.getComputedStyle(document.documentElement).fontSize));
+  return size > 0 ? size : BASE_FONT_SIZE;
+}
+
+function buildTypographyCSS(settings) {
+  let css = '';
+
+  const fontSize = Number(settings.fontSize) || BASE_FONT_SIZE;
+  if (fontSize !== BASE_FONT_SIZE) {
+    const rootSize = getPageRootFontSize() * fontSize / BASE_FONT_SIZE;
+    css += `html { font-size: ${Math.round(rootSize * 100) / 100}px !important; }\n`;
+  }
+
+  const lineHeight = Number(settings.lineHeight);
+  if (lineHeight && lineHeight !== cyberdarkDefaults.lineHeight) {
+    css += `${BODY_TEXT_SELECTOR} { line-height: ${lineHeight} !important; }\n`;
+  }
+
+  const fontFamily = validate ? validate.sanitizeFontFamily(settings.fontFamily) : '';
+  const target = settings.fontTarget;
+  if (fontFamily && (target === 'body' || target === 'both')) {
+    // Code keeps its monospace unless the mono target is on too
+    css += `body, body *${ICON_FONT_EXCLUSIONS}:not(:where(${MONO_SELECTOR})) { font-family: ${fontFamily} !important; }\n`;
+  }
+  if (fontFamily && (target === 'mono' || target === 'both')) {
+    css += `${MONO_SELECTOR} { font-family: ${fontFamily} !important; }\n`;
+  }
+
+  return css;
+}
+
+// === High Contrast & Text Glow ===
+const HIGH_CONTRAST_BG = '#000000'; // first-paint-contrast.js paints the same before settings load
+// WCAG AAA for normal-size text
+const AAA_CONTRAST = 7;
+
+// First palette color with AAA contrast on pure black, else a safe yellow
+function pickHighContrastLink(palette) {
+  if (!colorUtils) return '#ffff00';
+  const bg = colorUtils.parseColor(HIGH_CONTRAST_BG);
+  const match = [palette.color1, palette.color2, palette.color3].find(value => {
+    const parsed = colorUtils.parseColor(value);
+    return parsed && colorUtils.contrastRatio(parsed, bg) >= AAA_CONTRAST;
+  });
+  return match || '#ffff00';
+}
+
+// Pure black/white surfaces, thick borders, underlined links. Appended after the
+// base rules so it wins at equal specificity.
+function buildHighContrastCSS(linkColor) {
+  return `
+      :root {
+        --dark-bg: ${HIGH_CONTRAST_BG};
+        --dark-text: #ffffff;
+        --link-color: ${linkColor};
+      }
+
+      html, body, main, article, section, aside, nav, header, footer, div, span, p,
+      ul, ol, li, dl, table, thead, tbody, tr, td, th, form, fieldset, dialog, [role="dialog"] {
+        background-color: ${HIGH_CONTRAST_BG} !important;
+        color: #ffffff !important;
+      }
+      h1, h2, h3, h4, h5, h6, label, strong, em, b, i, small, code, pre, blockquote, dt, dd, figcaption, caption {
+        color: #ffffff !important;
+      }
+
+      a, a:visited, a * {
+        color: var(--link-color) !important;
+      }
+      a {
+        text-decoration: underline !important;
+        text-underline-offset: 2px;
+      }
+
+      input, textarea, select, button, .btn, input[data-cyberdark-search] {
+        background: ${HIGH_CONTRAST_BG} !important;
+        color: #ffffff !important;
+        border: 2px solid #ffffff !important;
+        box-shadow: none !important;
+        animation: none !important;
+      }
+      table, th, td, fieldset, dialog, [role="dialog"], hr {
+        border: 2px solid #ffffff !important;
+      }
+      ::placeholder {
+        color: #cccccc !important;
+        opacity: 1 !important;
+      }
+
+      /* Dimming would drop disabled controls below AAA; mark them by border style instead */
+      button[disabled], input[disabled], .disabled {
+        opacity: 1 !important;
+        border-style: dashed !important;
+      }
+
+      :focus {
+        outline: 3px solid var(--link-color) !important;
+        outline-offset: 2px;
+      }
+  `;
+}
+
+// Neon glow from the palette; each level covers more text than the last
+function buildTextGlowCSS(intensity) {
+  const headings = 'h1, h2, h3, h4, h5, h6';
+  if (intensity === 'subtle') {
+    return `${headings} { text-shadow: 0 0 4px var(--neon-color-1) !important; }`;
+  }
+  if (intensity === 'strong') {
+    return `
+      body *:not(input):not(textarea):not(select) { text-shadow: 0 0 2px var(--neon-color-1) !important; }
+      ${headings} { text-shadow: 0 0 8px var(--neon-color-1), 0 0 16px var(--neon-color-3), 0 0 24px var(--neon-color-3) !important; }
+      a, a * { text-shadow: 0 0 6px var(--neon-color-2), 0 0 10px var(--neon-color-2) !important; }
+    `;
+  }
+  return `
+      ${headings} { text-shadow: 0 0 6px var(--neon-color-1), 0 0 12px var(--neon-color-3) !important; }
+      a, a * { text-shadow: 0 0 4px var(--neon-color-2) !important; }
+  `;
+}
+
+// === Code Blocks ===
+// Highlighted code keeps its token structure: each highlighter's class scheme is
+// mapped onto shared roles, and the roles get colors from the chosen code theme.
+const CODE_BLOCK_SELECTOR = 'pre, .hljs, pre[class*="language-"], code[class*="language-"], .highlight, .shiki, .react-code-text';
+
+// role -> token classes from highlight.js, Prism, GitHub (pl-*) and Pygments/GitLab (.highlight)
+const CODE_TOKEN_SELECTORS = {
+  comment: '.hljs-comment, .hljs-quote, .token.comment, .token.prolog, .token.doctype, .token.cdata, .pl-c, ' +
+    '.highlight .c, .highlight .c1, .highlight .cm, .highlight .ch, .highlight .cs, .highlight .sd',
+  keyword: '.hljs-keyword, .hljs-selector-tag, .hljs-doctag, .token.keyword, .token.atrule, .token.tag, .token.important, ' +
+    '.pl-k, .pl-ent, .highlight .k, .highlight .kd, .highlight .kn, .highlight .kr, .highlight .kc, .highlight .ow, .highlight .nt',
+  string: '.hljs-string, .hljs-regexp, .hljs-addition, .token.string, .token.char, .token.regex, .token.url, .token.attr-value, .token.inserted, ' +
+    '.pl-s, .pl-pds, .pl-sr, .highlight .s, .highlight .s1, .highlight .s2, .highlight .sb, .highlight .sc, .highlight .se, ' +
+    '.highlight .sh, .highlight .si, .highlight .sx, .highlight .sr, .highlight .ss, .highlight .gi',
+  number: '.hljs-number, .hljs-literal, .hljs-symbol, .hljs-bullet, .token.number, .token.boolean, .token.constant, .token.symbol, ' +
+    '.pl-c1, .highlight .m, .highlight .mi, .highlight .mf, .highlight .mh, .highlight .mo, .highlight .il',
+  function: '.hljs-title, .hljs-section, .token.function, .pl-en, .highlight .nf, .highlight .fm, .highlight .nd',
+  type: '.hljs-type, .hljs-built_in, .hljs-class, .hljs-attr, .hljs-attribute, .token.class-name, .token.builtin, .token.attr-name, .token.property, ' +
+    '.pl-e, .pl-smi, .highlight .kt, .highlight .nc, .highlight .nn, .highlight .nb, .highlight .bp, .highlight .na',
+  variable: '.hljs-variable, .hljs-template-variable, .hljs-params, .token.variable, .pl-v, .highlight .nv, .highlight .vi, .highlight .vg, .highlight .vc',
+  punctuation: '.hljs-punctuation, .hljs-operator, .token.punctuation, .token.operator, .highlight .o, .highlight .p',
+  meta: '.hljs-meta, .hljs-deletion, .token.deleted, .token.entity, .token.namespace, .pl-mi1, .pl-md, .highlight .cp, .highlight .cpf, .highlight .gd'
+};
+
+// Token colors from the neon palette, for the 'palette' theme
+function paletteCodeColors(palette) {
+  return {
+    background: '#101010',
+    text: '#e0e0e0',
+    comment: '#8c8c8c',
+    keyword: palette.color3,
+    string: palette.color2,
+    number: palette.color4,
+    function: palette.color1,
+    type: palette.color1,
+    variable: '#e0e0e0',
+    punctuation: '#b0b0b0',
+    meta: palette.color3
+  };
+}
+
+// Palette colors can be anything; lift each token color until it reads on the code background
+function readableCodeColors(colors, background, required) {
+  if (!colorUtils) return Object.assign({}, colors, { background });
+  const bg = colorUtils.parseColor(background);
+  const result = { background };
+  Object.keys(colors).forEach(role => {
+    if (role === 'background') return;
+    const fg = colorUtils.parseColor(colors[role]);
+    result[role] = !fg || !bg || colorUtils.contrastRatio(fg, bg) >= required
+      ? colors[role]
+      : colorUtils.formatColor(liftForeground(fg, bg, required));
+  });
+  return result;
+}
+
+// Role colors for the chosen code theme ('site' falls back to the palette theme)
+function resolveCodeColors(settings, palette) {
+  const fixed = config.CODE_THEME_COLORS && config.CODE_THEME_COLORS[settings.codeTheme];
+  const colors = fixed || paletteCodeColors(palette);
+  // High contrast keeps AAA inside code blocks too
+  return settings.highContrast
+    ? readableCodeColors(colors, HIGH_CONTRAST_BG, AAA_CONTRAST)
+    : readableCodeColors(colors, colors.background, 4.5);
+}
+
+function buildCodeThemeCSS(settings, palette) {
+  if (settings.codeTheme === 'site') return '';
+  const c = resolveCodeColors(settings, palette);
+
+  let css = `
+      ${CODE_BLOCK_SELECTOR} {
+        background-color: ${c.background} !important;
+        color: ${c.text} !important;
+        border-color: #333 !important;
+      }
+      :where(${CODE_BLOCK_SELECTOR}) :where(code, span) {
+        background-color: transparent !important;
+      }
+      :not(pre) > code {
+        background-color: ${c.background} !important;
+        color: ${c.text} !important;
+      }
+      /* Shiki dual themes ship their own dark colors */
+      .shiki[style*="--shiki-dark"], .shiki [style*="--shiki-dark"] {
+        color: var(--shiki-dark) !important;
+        background-color: var(--shiki-dark-bg, transparent) !important;
+      }
+      .shiki[style*="--shiki-dark-bg"] {
+        background-color: var(--shiki-dark-bg) !important;
+      }
+      /* Monaco's light theme colors tokens by generated class; flip the editor, its dark themes are left alone */
+      .monaco-editor.vs {
+        filter: invert(0.9) hue-rotate(180deg) !important;
+      }
+  `;
+  Object.keys(CODE_TOKEN_SELECTORS).forEach(role => {
+    css += `${CODE_TOKEN_SELECTORS[role]} { color: ${c[role]} !important; }\n`;
+  });
+  return css;
+}
+
+// Accessibility & UX: color-blind friendly palette
+function resolvePalette(settings) {
+  let palette = { color1: settings.color1, color2: settings.color2, color3: settings.color3, color4: settings.color4 };
+
+  // Handle legacy boolean
+  let mode = settings.colorBlindMode;
+  if (mode === true) mode = 'protanopia';
+
+  if (mode && mode !== 'none' && config.COLORBLIND_PALETTES && config.COLORBLIND_PALETTES[mode]) {
+    palette = config.COLORBLIND_PALETTES[mode];
+  }
+
+  // SECURITY: Sanitize all color values to prevent XSS
+  if (validate) {
+    palette = validate.sanitizeColorPalette(palette, cyberdarkDefaults);
+  }
+  return palette;
+}
+
+function applyCyberdarkStyles(settings) {
+  try {
+    // Typography has its own builder
+    const palette = resolvePalette(settings);
 
     const neon1 = palette.color1;
     const neon2 = palette.color2;
@@ -209,6 +638,7 @@ function applyCyberdarkStyles(settings) {
     if (prev) prev.remove();
     const style = document.createElement('style');
     style.setAttribute('data-cyberdark', 'main');
+    style.media = ownedSheetMedia();
     style.setAttribute('aria-label', 'Cyberdark enforced dark mode and accessibility styles');
     style.setAttribute('role', 'presentation');
     // CSS variables from user settings
@@ -286,14 +716,6 @@ function applyCyberdarkStyles(settings) {
         ${settings.focusOutline ? 'outline: 2px solid var(--link-color) !important; outline-offset: 2px;' : ''}
       }
 
-      /* SVG Fixes - Ensure icons are visible */
-      svg text {
-        fill: var(--dark-text) !important;
-      }
-      svg path[fill="#000"], svg path[fill="black"] {
-        fill: var(--dark-text) !important;
-      }
-
       /* Scrollbars - Dark */
       ::-webkit-scrollbar {
         width: 12px;
@@ -316,29 +738,9 @@ function applyCyberdarkStyles(settings) {
         --neon-color-3: ${neon3};
         --neon-color-4: ${neon4};
       }
-      
-      input[type="search"],
-      input[type="text"],
-      .search-bar,
-      .search-input {
-        background: linear-gradient(45deg, var(--neon-color-2), var(--neon-color-1), var(--neon-color-3), var(--neon-color-4)) !important;
-        background-size: 400% 400% !important;
-        animation: cyberdark-gradient 15s ease infinite !important;
-        border: none !important;
-        padding: 8px 12px !important;
-        border-radius: 8px !important;
-        color: #000 !important;
-        box-shadow: 0 0 15px rgba(0, 255, 255, 0.5) !important;
-        transition: all 0.3s ease !important;
-      }
 
-      input[type="search"]:hover,
-      input[type="text"]:hover,
-      .search-bar:hover,
-      .search-input:hover {
-        box-shadow: 0 0 25px rgba(0, 255, 255, 0.7) !important;
-        transform: scale(1.02) !important;
-      }
+      /* Only fields the detector tagged as genuine search inputs */
+      ${buildSearchFieldCSS(settings, palette)}
 
       /* Gradient animation keyframes */
       @keyframes cyberdark-gradient {
@@ -353,6 +755,29 @@ function applyCyberdarkStyles(settings) {
         }
       }
 
+      /* Embedded PDFs */
+      ${buildPdfCSS(settings, palette)}
+
+      /* Images tagged by image analysis */
+      img[data-cyberdark-image="bright"] {
+        filter: brightness(0.75) !important;
+      }
+      img[data-cyberdark-image="lineart"] {
+        filter: invert(1) hue-rotate(180deg) !important;
+      }
+
+      /* Typography */
+      ${buildTypographyCSS(settings)}
+
+      /* Code Blocks */
+      ${buildCodeThemeCSS(settings, palette)}
+
+      /* High Contrast */
+      ${settings.highContrast ? buildHighContrastCSS(pickHighContrastLink(palette)) : ''}
+
+      /* Neon Text Glow */
+      ${settings.textShadow ? buildTextGlowCSS(settings.textShadowIntensity) : ''}
+
       /* Reduced Motion */
       ${settings.reducedMotion ? '* { animation: none !important; transition: none !important; }' : ''}
     `;
@@ -365,51 +790,108 @@ function applyCyberdarkStyles(settings) {
   }
 }
 
-// Force dark mode on all iframes with collision detection and robust error handling
-function applyCyberdarkIframes() {
-  const iframes = document.getElementsByTagName('iframe');
-  for (const iframe of iframes) {
-    if (!iframe) continue;
-    let iframeDoc;
+// === Shadow DOM ===
+// page-hooks.js (page world) fires a composed event from every attachShadow() call;
+// hosts that get their root while detached are caught when inserted. Every root,
+// open or closed, adopts one shared constructable sheet with the main stylesheet.
+const SHADOW_EVENT = 'cyberdark:shadowroot';
+
+const shadowRoots = new Set();
+let shadowSheet = null;
+let shadowObserver = null;
+
+function getShadowRoot(el) {
+  if (el.shadowRoot) return el.shadowRoot;
+  if (typeof chrome !== 'undefined' && chrome.dom && chrome.dom.openOrClosedShadowRoot) {
     try {
-      iframeDoc = iframe.contentDocument || (iframe.contentWindow && iframe.contentWindow.document);
-    } catch (e) {
-      // Cross-origin, cannot access
-      // config.Logger.debug('Cross-origin iframe, skipping');
-      continue;
-    }
-    if (!iframeDoc || !iframeDoc.head) continue;
-    // Only inject if not already injected
-    if (!iframeDoc.head.querySelector('style[data-cyberdark="iframe"]')) {
-      try {
-        const iframeStyle = iframeDoc.createElement('style');
-        iframeStyle.setAttribute('data-cyberdark', 'iframe');
-        // Use minimal selector for iframes too
-        iframeStyle.textContent = `
-          html, body { background-color: #1a1a1a !important; color: #e0e0e0 !important; }
-          a { color: #4db8ff !important; }
-        `;
-        iframeDoc.head.appendChild(iframeStyle);
-      } catch (err) {
-        if (config.Logger) config.Logger.error('Failed to inject style into iframe', err);
-      }
+      return chrome.dom.openOrClosedShadowRoot(el);
+    } catch (_) {
+      return null;
     }
   }
+  return null;
+}
+
+function adoptShadowSheet(root) {
+  if (!shadowSheet || shadowRoots.has(root)) return;
+  try {
+    root.adoptedStyleSheets = [...root.adoptedStyleSheets, shadowSheet];
+  } catch (e) {
+    if (config.Logger) config.Logger.warn('Cannot adopt stylesheet into shadow root', e);
+    return;
+  }
+  shadowRoots.add(root);
+  // Nested roots: watch inside this one too (document observers stop at the boundary)
+  shadowObserver.observe(root, { childList: true, subtree: true });
+  root.addEventListener(SHADOW_EVENT, onShadowRootAttached, true);
+  scanForShadowRoots(root);
+}
+
+function scanForShadowRoots(root) {
+  if (root.nodeType === Node.ELEMENT_NODE) {
+    const own = getShadowRoot(root);
+    if (own) adoptShadowSheet(own);
+  }
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  while (walker.nextNode()) {
+    const shadow = getShadowRoot(walker.currentNode);
+    if (shadow) adoptShadowSheet(shadow);
+  }
+}
+
+function onShadowRootAttached(e) {
+  const host = e.composedPath()[0];
+  // Component code usually sets its own adoptedStyleSheets right after attachShadow()
+  queueMicrotask(() => {
+    const root = host && getShadowRoot(host);
+    if (root) adoptShadowSheet(root);
+  });
 }
 
-// Deep Shadow DOM injection
 function applyCyberdarkShadowDOM() {
-  const style = document.head.querySelector('style[data-cyberdark="main"]');
+  const style = document.querySelector('style[data-cyberdark="main"]');
   if (!style) return;
-  document.querySelectorAll('*').forEach(el => {
-    if (el.shadowRoot && !el.shadowRoot.querySelector('style[data-cyberdark="main"]')) {
-      try {
-        el.shadowRoot.appendChild(style.cloneNode(true));
-      } catch (e) {
-        if (config.Logger) config.Logger.warn('Cannot inject into shadow root', e);
-      }
+
+  if (!shadowSheet) shadowSheet = new CSSStyleSheet({ media: ownedSheetMedia() });
+  shadowSheet.replaceSync(style.textContent);
+
+  // Forget roots whose hosts left the document
+  shadowRoots.forEach(root => {
+    if (!root.host.isConnected) shadowRoots.delete(root);
+  });
+
+  if (shadowObserver) return;
+  shadowObserver = new MutationObserver(mutations => {
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) scanForShadowRoots(node);
+      });
+    });
+  });
+  shadowObserver.observe(document.documentElement, { childList: true, subtree: true });
+  document.addEventListener(SHADOW_EVENT, onShadowRootAttached, true);
+  scanForShadowRoots(document.documentElement);
+}
+
+function removeCyberdarkShadowDOM() {
+  if (shadowObserver) {
+    shadowObserver.disconnect();
+    shadowObserver = null;
+  }
+  document.removeEventListener(SHADOW_EVENT, onShadowRootAttached, true);
+
+  shadowRoots.forEach(root => {
+    root.removeEventListener(SHADOW_EVENT, onShadowRootAttached, true);
+    try {
+      root.adoptedStyleSheets = root.adoptedStyleSheets.filter(sheet => sheet !== shadowSheet);
+    } catch (_) {
+      // Root already gone
     }
   });
+  shadowRoots.clear();
+  // Roots dropped from tracking may still hold the sheet; leave it empty
+  if (shadowSheet) shadowSheet.replaceSync('');
+  shadowSheet = null;
 }
 
 // === Structural dark mode overrides for headers, info bars, etc. ===
@@ -441,6 +923,8 @@ thead *, th *, .header-row *, [role="columnheader"] * {
 }
 `;
 
+const STRUCTURAL_SELECTOR = 'thead, th, .header-row, [role="columnheader"], .info-bar, .status-row, .notice, .alert, [role="status"], [role="alert"]';
+
 function injectStructuralDarkCSS() {
   const target = document.head || document.documentElement;
   if (!target) return;
@@ -448,6 +932,7 @@ function injectStructuralDarkCSS() {
   if (!target.querySelector('style[data-cyberdark-structural]')) {
     const style = document.createElement('style');
     style.setAttribute('data-cyberdark-structural', 'true');
+    style.media = ownedSheetMedia();
     style.textContent = cyberdarkStructuralCSS;
     target.appendChild(style);
   }
@@ -457,7 +942,7 @@ function overrideStructuralInlineStyles(node) {
   if (
     node &&
     (
-      node.matches?.('thead, th, .header-row, [role="columnheader"], .info-bar, .status-row, .notice, .alert, [role="status"], [role="alert"]')
+      node.matches?.(STRUCTURAL_SELECTOR)
     )
   ) {
     // Mark as overridden for cleanup
@@ -468,6 +953,22 @@ function overrideStructuralInlineStyles(node) {
   }
 }
 
+function clearStructuralOverride(node) {
+  node.style.removeProperty('background');
+  node.style.removeProperty('background-color'); // Explicitly remove background-color
+  node.style.removeProperty('color');
+  node.style.removeProperty('border-color');
+  node.removeAttribute('data-cyberdark-override');
+}
+
+// Elements a route change re-used for something else (e.g. an .alert class dropped) keep
+// their inline overrides otherwise
+function pruneStructuralOverrides() {
+  document.querySelectorAll('[data-cyberdark-override="true"]').forEach(node => {
+    if (!node.matches(STRUCTURAL_SELECTOR)) clearStructuralOverride(node);
+  });
+}
+
 let structuralObserver;
 
 function observeStructuralElements() {
@@ -479,18 +980,21 @@ function observeStructuralElements() {
     if (timeout) clearTimeout(timeout);
     timeout = setTimeout(() => {
       const pending = [];
+      let removed = false;
       for (const mutation of mutations) {
         for (const node of mutation.addedNodes) {
           if (node instanceof HTMLElement) pending.push(node);
         }
+        if (mutation.removedNodes.length) removed = true;
       }
+      if (removed) pruneDetachedOverrides();
       // Batch process
       if (pending.length > 0) {
         pending.forEach(node => {
           overrideStructuralInlineStyles(node);
           // Limit querySelectorAll scope
           if (node.querySelectorAll) {
-            const targets = node.querySelectorAll('thead, th, .header-row, [role="columnheader"], .info-bar, .status-row, .notice, .alert, [role="status"], [role="alert"]');
+            const targets = node.querySelectorAll(STRUCTURAL_SELECTOR);
             targets.forEach(overrideStructuralInlineStyles);
           }
         });
@@ -514,153 +1018,2524 @@ function disconnectStructuralObserver() {
   }
 }
 
-function removeCyberdarkStyles() {
-  const target = document.head || document.documentElement;
-  if (!target) return;
+// === Search Fields ===
+// Only genuine search inputs get the neon treatment. Signals are weighted: one
+// strong signal (type/role/search landmark) is enough, weak ones must add up.
+const SEARCH_NAMES = new Set(['q', 'query', 'search', 's', 'k', 'kw', 'keyword', 'keywords', 'term', 'terms', 'search_query', 'searchterm', 'search-term']);
+const SEARCH_WORDS = /\b(search|find|lookup)\b|suche|buscar|recherche|cerca|pesquis|zoek|搜索|検索|검색/i;
+const SEARCH_TEXT_TYPES = new Set(['', 'text', 'search']);
+const SEARCH_SCORE_THRESHOLD = 2;
 
-  const main = target.querySelector('style[data-cyberdark="main"]');
-  if (main) main.remove();
+let searchObserver = null;
 
-  const structural = target.querySelector('style[data-cyberdark-structural]');
-  if (structural) structural.remove();
+function isSearchField(input) {
+  if (input.tagName !== 'INPUT' || !SEARCH_TEXT_TYPES.has((input.getAttribute('type') || '').toLowerCase())) return false;
+  if (input.closest(ignoredSelector)) return false;
 
-  // Revert structural overrides
-  const overridden = document.querySelectorAll('[data-cyberdark-override="true"]');
-  overridden.forEach(node => {
-    node.style.removeProperty('background');
-    node.style.removeProperty('background-color'); // Explicitly remove background-color
-    node.style.removeProperty('color');
-    node.style.removeProperty('border-color');
-    node.removeAttribute('data-cyberdark-override');
-  });
+  let score = 0;
+  if (input.type === 'search') score += 3;
+  if (input.getAttribute('role') === 'searchbox') score += 3;
+  if (input.closest('[role="search"], search')) score += 3;
+  if (SEARCH_NAMES.has((input.name || '').toLowerCase())) score += 2;
 
-  disconnectStructuralObserver();
-}
+  const labels = input.labels ? Array.from(input.labels).map(label => label.textContent).join(' ') : '';
+  const described = [input.placeholder, input.getAttribute('aria-label'), input.title, labels].join(' ');
+  if (SEARCH_WORDS.test(described)) score += 2;
 
-// Listen for settings and apply styles
-function loadAndApplyCyberdark() {
+  const form = input.form;
+  if (form && /search|[?&/](q|s|query)\b|find/i.test(form.getAttribute('action') || '')) score += 1;
+  if (/search/i.test(`${input.id} ${input.className}`)) score += 1;
+
+  return score >= SEARCH_SCORE_THRESHOLD;
+}
+
+function tagSearchFields(root) {
+  if (root.nodeType !== 1) return;
+  const inputs = root.tagName === 'INPUT' ? [root] : root.querySelectorAll('input');
+  inputs.forEach(input => {
+    if (isSearchField(input)) input.setAttribute('data-cyberdark-search', 'true');
+  });
+}
+
+function observeSearchFields() {
+  if (!document.body) return;
+  tagSearchFields(document.body);
+  if (searchObserver) return;
+  searchObserver = new MutationObserver(mutations => {
+    mutations.forEach(mutation => mutation.addedNodes.forEach(tagSearchFields));
+  });
+  searchObserver.observe(document.body, { childList: true, subtree: true });
+}
+
+function removeSearchFieldTags() {
+  if (searchObserver) {
+    searchObserver.disconnect();
+    searchObserver = null;
+  }
+  document.querySelectorAll('[data-cyberdark-search]').forEach(el => el.removeAttribute('data-cyberdark-search'));
+}
+
+// Black or white, whichever stays more readable over every given color
+function pickTextColorFor(colors) {
+  if (!colorUtils) return '#000000';
+  const parsed = colors.map(value => colorUtils.parseColor(value)).filter(Boolean);
+  const worst = text => Math.min(...parsed.map(color => colorUtils.contrastRatio(text, color)));
+  return worst({ r: 0, g: 0, b: 0 }) >= worst({ r: 255, g: 255, b: 255 }) ? '#000000' : '#ffffff';
+}
+
+// Palette color readable on the dark field background, else the default light text
+function pickFieldTextColor(palette) {
+  if (!colorUtils) return '#e0e0e0';
+  const bg = colorUtils.parseColor('#1a1a1a');
+  const readable = [palette.color1, palette.color2].find(value => {
+    const parsed = colorUtils.parseColor(value);
+    return parsed && colorUtils.contrastRatio(parsed, bg) >= 4.5;
+  });
+  return readable || '#e0e0e0';
+}
+
+function buildSearchFieldCSS(settings, palette) {
+  const field = 'input[data-cyberdark-search]';
+  const style = settings.searchStyle || 'gradient';
+
+  if (style === 'gradient') {
+    const text = pickTextColorFor([palette.color1, palette.color2, palette.color3, palette.color4]);
+    return `
+      ${field} {
+        background: linear-gradient(45deg, var(--neon-color-2), var(--neon-color-1), var(--neon-color-3), var(--neon-color-4)) !important;
+        background-size: 400% 400% !important;
+        ${settings.reducedMotion ? '' : 'animation: cyberdark-gradient 15s ease infinite !important;'}
+        border: none !important;
+        padding: 8px 12px !important;
+        border-radius: 8px !important;
+        color: ${text} !important;
+        box-shadow: 0 0 15px var(--neon-color-1) !important;
+        transition: all 0.3s ease !important;
+      }
+      ${field}::placeholder {
+        color: ${text} !important;
+        opacity: 0.75;
+      }
+      ${field}:hover {
+        box-shadow: 0 0 25px var(--neon-color-1) !important;
+        ${settings.reducedMotion ? '' : 'transform: scale(1.02) !important;'}
+      }
+    `;
+  }
+
+  const text = pickFieldTextColor(palette);
+  if (style === 'border') {
+    return `
+      ${field} {
+        background: #1a1a1a !important;
+        color: ${text} !important;
+        border: 2px solid var(--neon-color-1) !important;
+        border-radius: 8px !important;
+      }
+    `;
+  }
+  if (style === 'glow') {
+    return `
+      ${field} {
+        background: #1a1a1a !important;
+        color: ${text} !important;
+        border: 1px solid #444 !important;
+        border-radius: 8px !important;
+        transition: box-shadow 0.3s ease, border-color 0.3s ease !important;
+      }
+      ${field}:focus {
+        border-color: var(--neon-color-1) !important;
+        box-shadow: 0 0 12px var(--neon-color-1) !important;
+      }
+    `;
+  }
+  // 'plain': the regular dark input styling already applies
+  return '';
+}
+
+// === Dynamic Rendering Mode ===
+// Reads each element's computed colors, remaps lightness in OKLCH (hue preserved)
+// and pins the result inline. Originals are recorded so the page can be restored.
+const colorUtils = typeof CyberdarkColor !== 'undefined' ? CyberdarkColor : null;
+
+const DYNAMIC_COLOR_PROPS = [
+  ['background-color', 'background'],
+  ['color', 'text'],
+  ['border-top-color', 'border', 'border-top-width'],
+  ['border-right-color', 'border', 'border-right-width'],
+  ['border-bottom-color', 'border', 'border-bottom-width'],
+  ['border-left-color', 'border', 'border-left-width']
+];
+
+const DYNAMIC_SKIP_TAGS = new Set(['HTML', 'HEAD', 'BODY', 'SCRIPT', 'STYLE', 'LINK', 'META', 'NOSCRIPT', 'TEMPLATE', 'IMG', 'VIDEO', 'CANVAS', 'IFRAME', 'EMBED', 'OBJECT', 'PICTURE', 'SOURCE', 'BR', 'WBR']);
+
+// element -> Map(prop -> { value, priority, applied }) of inline values we replaced;
+// overriddenElements lists the keys and drops detached ones (pruneDetachedOverrides)
+const inlineOverrides = new WeakMap();
+const overriddenElements = new Set();
+// element -> style attribute as we last wrote it (filters our own mutations)
+const lastWrittenStyle = new WeakMap();
+
+let dynamicObserver = null;
+let dynamicGeneration = 0;
+
+function setInlineOverride(el, prop, value) {
+  let props = inlineOverrides.get(el);
+  if (!props) {
+    props = new Map();
+    inlineOverrides.set(el, props);
+  }
+  overriddenElements.add(el);
+  const current = el.style.getPropertyValue(prop);
+  const record = props.get(prop);
+  // Page rewrote the property since we last touched it: that becomes the new original
+  if (!record || current !== record.applied) {
+    props.set(prop, { value: current, priority: el.style.getPropertyPriority(prop), applied: value });
+  } else {
+    record.applied = value;
+  }
+  el.style.setProperty(prop, value, 'important');
+}
+
+function clearInlineOverride(el, prop) {
+  const props = inlineOverrides.get(el);
+  const record = props && props.get(prop);
+  if (!record) return;
+  // Page owns it now unless it still holds our value
+  if (el.style.getPropertyValue(prop) === record.applied) {
+    if (record.value) {
+      el.style.setProperty(prop, record.value, record.priority);
+    } else {
+      el.style.removeProperty(prop);
+    }
+  }
+  props.delete(prop);
+  if (props.size === 0) {
+    inlineOverrides.delete(el);
+    overriddenElements.delete(el);
+  }
+}
+
+function clearInlineOverrides(el) {
+  const props = inlineOverrides.get(el);
+  if (!props) return;
+  Array.from(props.keys()).forEach(prop => clearInlineOverride(el, prop));
+}
+
+function restoreInlineOverrides() {
+  Array.from(overriddenElements).forEach(clearInlineOverrides);
+}
+
+// Removed elements leave the list (SPAs detach whole views); their records stay in the
+// WeakMap, so an element put back is restored correctly once it is overridden again
+function pruneDetachedOverrides() {
+  overriddenElements.forEach(el => {
+    if (!el.isConnected) overriddenElements.delete(el);
+  });
+}
+
+function remapElementColors(el) {
+  if (!colorUtils || DYNAMIC_SKIP_TAGS.has(el.tagName) || el.namespaceURI !== 'http://www.w3.org/1999/xhtml') return;
+  if (el.closest(ignoredSelector)) return;
+
+  // Read the page's own colors, not the ones we pinned on a previous pass
+  DYNAMIC_COLOR_PROPS.forEach(([prop]) => clearInlineOverride(el, prop));
+  const computed = window.getComputedStyle(el);
+
+  for (const [prop, role, widthProp] of DYNAMIC_COLOR_PROPS) {
+    if (widthProp && parseFloat(computed.getPropertyValue(widthProp)) === 0) continue;
+    const value = computed.getPropertyValue(prop);
+    const remapped = colorUtils.remapColor(value, role);
+    if (remapped && remapped !== value) setInlineOverride(el, prop, remapped);
+  }
+
+  lastWrittenStyle.set(el, el.getAttribute('style'));
+}
+
+// Process elements in small batches so large pages never block the main thread.
+// `isCurrent` is checked between batches so a mode switch cancels pending work.
+function processInChunks(elements, fn, isCurrent, onDone) {
+  const CHUNK_SIZE = 400;
+  let index = 0;
+  const step = () => {
+    if (!isCurrent()) return;
+    const end = Math.min(index + CHUNK_SIZE, elements.length);
+    for (; index < end; index++) {
+      if (elements[index].isConnected) fn(elements[index]);
+    }
+    if (index < elements.length) setTimeout(step, 0);
+    else if (onDone) onDone();
+  };
+  step();
+}
+
+function remapInChunks(elements, generation, onDone) {
+  processInChunks(elements, remapElementColors, () => generation === dynamicGeneration, onDone);
+}
+
+// onDone runs once the initial pass has remapped every element
+function startDynamicColors(onDone) {
+  if (!colorUtils || !document.body) return;
+
+  const generation = ++dynamicGeneration;
+  remapInChunks(Array.from(document.body.querySelectorAll('*')), generation, onDone);
+
+  if (dynamicObserver) return;
+  dynamicObserver = new MutationObserver(mutations => {
+    const pending = new Set();
+    for (const mutation of mutations) {
+      if (mutation.type === 'attributes') {
+        const el = mutation.target;
+        if (mutation.attributeName === 'style' && lastWrittenStyle.get(el) === el.getAttribute('style')) continue;
+        pending.add(el);
+      } else {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType !== 1) return;
+          pending.add(node);
+          node.querySelectorAll('*').forEach(child => pending.add(child));
+        });
+      }
+    }
+    if (pending.size > 0) remapInChunks(Array.from(pending), dynamicGeneration);
+  });
+  dynamicObserver.observe(document.body, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['class', 'style']
+  });
+}
+
+function stopDynamicColors() {
+  dynamicGeneration++;
+  if (dynamicObserver) {
+    dynamicObserver.disconnect();
+    dynamicObserver = null;
+  }
+  restoreInlineOverrides();
+}
+
+// === Stylesheet Rewriting (CSSOM) ===
+// Walks the page's own stylesheets and emits a dark-adjusted counterpart for every
+// color declaration into one Cyberdark-owned sheet placed after them. Counterparts
+// keep the original selector, media/supports nesting and priority, so the page's
+// cascade is preserved. Cross-origin sheets are fetched through the background worker.
+const SHEET_COLOR_PROPS = {
+  'color': 'text',
+  'background-color': 'background',
+  'border-top-color': 'border',
+  'border-right-color': 'border',
+  'border-bottom-color': 'border',
+  'border-left-color': 'border',
+  'outline-color': 'border',
+  'column-rule-color': 'border',
+  'text-decoration-color': 'text',
+  'caret-color': 'text'
+};
+
+// Custom properties holding plain colors are remapped by what their name suggests
+const CUSTOM_PROP_ROLES = [
+  [/border|outline|divider|separator|line/i, 'border'],
+  [/bg|background|surface|canvas|fill|base|card|panel/i, 'background'],
+  [/text|fg|foreground|font|ink|color/i, 'text']
+];
+
+// href -> CSSRuleList of the fetched copy, or null while pending / failed
+const crossOriginSheets = new Map();
+// CSSRule -> { cssText, output } so unchanged rules are not regenerated
+const rewrittenRules = new WeakMap();
+
+let sheetObserver = null;
+let sheetPollId = null;
+let sheetRewriteTimer = null;
+let sheetSignature = '';
+
+function isCyberdarkSheet(sheet) {
+  const owner = sheet.ownerNode;
+  return !!(owner && owner.nodeType === 1 &&
+    (owner.hasAttribute('data-cyberdark') || owner.hasAttribute('data-cyberdark-structural') || (owner.id || '').startsWith('cyberdark-')));
+}
+
+function requestCrossOriginSheet(href) {
+  crossOriginSheets.set(href, null);
+  try {
+    chrome.runtime.sendMessage({ type: 'fetchStylesheet', url: href }, (response) => {
+      if (chrome.runtime.lastError || !response || typeof response.text !== 'string') return;
+      try {
+        const copy = new CSSStyleSheet();
+        copy.replaceSync(response.text);
+        crossOriginSheets.set(href, copy.cssRules);
+        notifySheetWatchers();
+      } catch (err) {
+        if (config.Logger) config.Logger.warn('Cannot parse cross-origin stylesheet', { href });
+      }
+    });
+  } catch (err) {
+    if (config.Logger) config.Logger.debug('Background unavailable for stylesheet fetch', err);
+  }
+}
+
+// Returns the rules of a sheet, falling back to a fetched copy for cross-origin sheets
+function getSheetRules(sheet) {
+  try {
+    return sheet.cssRules;
+  } catch (e) {
+    const href = sheet.href;
+    if (!href || !/^https?:/i.test(href)) return null;
+    if (!crossOriginSheets.has(href)) requestCrossOriginSheet(href);
+    return crossOriginSheets.get(href);
+  }
+}
+
+function getCustomPropRole(name) {
+  const match = CUSTOM_PROP_ROLES.find(([pattern]) => pattern.test(name));
+  return match ? match[1] : null;
+}
+
+function rewriteDeclarations(style) {
+  const declarations = [];
+  for (let i = 0; i < style.length; i++) {
+    const prop = style[i];
+    const value = style.getPropertyValue(prop);
+    const priority = style.getPropertyPriority(prop) ? ' !important' : '';
+    let remapped = null;
+
+    if (SHEET_COLOR_PROPS[prop]) {
+      remapped = colorUtils.remapColor(value, SHEET_COLOR_PROPS[prop]);
+    } else if (prop === 'box-shadow') {
+      remapped = colorUtils.replaceColors(value, 'background');
+    } else if (prop.startsWith('--')) {
+      const role = getCustomPropRole(prop);
+      if (role) remapped = colorUtils.remapColor(value, role);
+    }
+
+    if (remapped && remapped !== value.trim()) declarations.push(`${prop}: ${remapped}${priority};`);
+  }
+  return declarations.join(' ');
+}
+
+function rewriteRule(rule) {
+  const cached = rewrittenRules.get(rule);
+  const cssText = rule.cssText;
+  if (cached && cached.cssText === cssText) return cached.output;
+
+  let output = '';
+  if (rule.type === CSSRule.STYLE_RULE) {
+    const declarations = rewriteDeclarations(rule.style);
+    const nested = rule.cssRules ? rewriteRuleList(rule.cssRules) : '';
+    if (declarations || nested) output = `${rule.selectorText} { ${declarations} ${nested} }\n`;
+  } else if (rule.type === CSSRule.IMPORT_RULE) {
+    const rules = rule.styleSheet ? getSheetRules(rule.styleSheet) : null;
+    const inner = rules ? rewriteRuleList(rules) : '';
+    const media = rule.media && rule.media.mediaText;
+    if (inner) output = media && media !== 'all' ? `@media ${media} {\n${inner}}\n` : inner;
+  } else if (rule.type === CSSRule.MEDIA_RULE) {
+    const inner = rewriteRuleList(rule.cssRules);
+    if (inner) output = `@media ${rule.media.mediaText} {\n${inner}}\n`;
+  } else if (rule.type === CSSRule.SUPPORTS_RULE) {
+    const inner = rewriteRuleList(rule.cssRules);
+    if (inner) output = `@supports ${rule.conditionText} {\n${inner}}\n`;
+  } else if (typeof CSSContainerRule !== 'undefined' && rule instanceof CSSContainerRule) {
+    const inner = rewriteRuleList(rule.cssRules);
+    if (inner) output = `@container ${rule.conditionText} {\n${inner}}\n`;
+  } else if (typeof CSSLayerBlockRule !== 'undefined' && rule instanceof CSSLayerBlockRule) {
+    // Emitted unlayered so the counterparts win over every page layer
+    output = rewriteRuleList(rule.cssRules);
+  }
+
+  rewrittenRules.set(rule, { cssText, output });
+  return output;
+}
+
+function rewriteRuleList(rules) {
+  let output = '';
+  for (let i = 0; i < rules.length; i++) {
+    output += rewriteRule(rules[i]);
+  }
+  return output;
+}
+
+// Cheap fingerprint of the page's sheets; catches insertRule() from CSS-in-JS libraries
+function computeSheetSignature() {
+  const parts = [];
+  for (const sheet of document.styleSheets) {
+    if (isCyberdarkSheet(sheet)) continue;
+    let count = '?';
+    try { count = sheet.cssRules.length; } catch (_) { /* cross-origin */ }
+    parts.push((sheet.href || 'inline') + ':' + count + ':' + sheet.disabled);
+  }
+  return parts.join('|');
+}
+
+// Keep a Cyberdark-owned <style> after every page sheet so it wins at equal specificity
+function placeOwnedSheet(kind, css) {
+  const target = document.head || document.documentElement;
+  if (!target) return;
+
+  let style = target.querySelector(`style[data-cyberdark="${kind}"]`);
+  if (!style) {
+    style = document.createElement('style');
+    style.setAttribute('data-cyberdark', kind);
+  }
+  if (style.media !== ownedSheetMedia()) style.media = ownedSheetMedia();
+  if (style.textContent !== css) style.textContent = css;
+  if (style.parentNode !== target || style !== target.lastElementChild) target.appendChild(style);
+  // Site custom CSS always comes after our own sheets
+  const custom = kind !== 'custom' && target.querySelector('style[data-cyberdark="custom"]');
+  if (custom) target.appendChild(custom);
+}
+
+function rewriteStyleSheets() {
+  if (!colorUtils) return;
+
+  let css = '';
+  for (const sheet of document.styleSheets) {
+    if (sheet.disabled || isCyberdarkSheet(sheet)) continue;
+    const rules = getSheetRules(sheet);
+    if (!rules) continue;
+    const inner = rewriteRuleList(rules);
+    const media = sheet.media && sheet.media.mediaText;
+    css += media && media !== 'all' ? `@media ${media} {\n${inner}}\n` : inner;
+  }
+  placeOwnedSheet('sheets', css);
+}
+
+// === Stylesheet Watching ===
+// Shared by every feature that derives CSS from the page's own sheets: fires the
+// registered callbacks when <style>/<link> nodes change, linked sheets finish
+// loading, fetched cross-origin copies arrive, or rule counts change (insertRule).
+const sheetWatchers = new Set();
+// insertRule edits (CSS-in-JS) touch no DOM, so they're polled for, but only for the
+// dynamic-mode rewriter and only while the page is visible
+const SHEET_POLL_MS = 1500;
+
+function notifySheetWatchers() {
+  if (sheetRewriteTimer) clearTimeout(sheetRewriteTimer);
+  sheetRewriteTimer = setTimeout(() => {
+    sheetRewriteTimer = null;
+    sheetSignature = computeSheetSignature();
+    sheetWatchers.forEach(callback => callback());
+  }, 100);
+}
+
+function isStyleNode(node) {
+  return node.nodeType === 1 && (node.tagName === 'STYLE' || (node.tagName === 'LINK' && /stylesheet/i.test(node.rel || '')));
+}
+
+function onStyleSheetLoad(e) {
+  if (e.target && e.target.tagName === 'LINK') notifySheetWatchers();
+}
+
+function checkSheetSignature() {
+  if (computeSheetSignature() !== sheetSignature) notifySheetWatchers();
+}
+
+function updateSheetPoll() {
+  const wanted = sheetWatchers.has(rewriteStyleSheets) && !document.hidden;
+  if (wanted && !sheetPollId) {
+    sheetPollId = setInterval(checkSheetSignature, SHEET_POLL_MS);
+  } else if (!wanted && sheetPollId) {
+    clearInterval(sheetPollId);
+    sheetPollId = null;
+  }
+}
+
+// Edits made while hidden are caught up on when the page is shown again
+function onSheetVisibilityChange() {
+  if (!document.hidden) checkSheetSignature();
+  updateSheetPoll();
+}
+
+function watchStyleSheets(callback) {
+  sheetWatchers.add(callback);
+  updateSheetPoll();
+  if (sheetObserver) return;
+
+  sheetSignature = computeSheetSignature();
+  sheetObserver = new MutationObserver(mutations => {
+    const relevant = mutations.some(mutation => {
+      if (mutation.type === 'characterData') {
+        const parent = mutation.target.parentNode;
+        return parent && parent.tagName === 'STYLE' && !parent.hasAttribute('data-cyberdark');
+      }
+      const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+      return nodes.some(node => isStyleNode(node) && !node.hasAttribute('data-cyberdark') && !node.hasAttribute('data-cyberdark-structural') && !(node.id || '').startsWith('cyberdark-'));
+    });
+    if (relevant) notifySheetWatchers();
+  });
+  sheetObserver.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+
+  // <link> sheets expose their rules only after loading
+  document.addEventListener('load', onStyleSheetLoad, true);
+  document.addEventListener('visibilitychange', onSheetVisibilityChange);
+}
+
+function unwatchStyleSheets(callback) {
+  sheetWatchers.delete(callback);
+  updateSheetPoll();
+  if (sheetWatchers.size > 0) return;
+
+  if (sheetObserver) {
+    sheetObserver.disconnect();
+    sheetObserver = null;
+  }
+  if (sheetRewriteTimer) {
+    clearTimeout(sheetRewriteTimer);
+    sheetRewriteTimer = null;
+  }
+  document.removeEventListener('load', onStyleSheetLoad, true);
+  document.removeEventListener('visibilitychange', onSheetVisibilityChange);
+  sheetSignature = '';
+}
+
+function startSheetRewriting() {
+  rewriteStyleSheets();
+  watchStyleSheets(rewriteStyleSheets);
+}
+
+function stopSheetRewriting() {
+  unwatchStyleSheets(rewriteStyleSheets);
+  const style = document.querySelector('style[data-cyberdark="sheets"]');
+  if (style) style.remove();
+}
+
+// === Color Scheme Emulation ===
+// Many sites ship a designed dark theme behind @media (prefers-color-scheme: dark)
+// that only shows when the OS is dark. Copy those blocks into a Cyberdark-owned
+// sheet with the condition rewritten to always match, so the site's own theme is
+// used before the generic stylesheet.
+const DARK_SCHEME_QUERY = /\(\s*prefers-color-scheme\s*:\s*dark\s*\)/gi;
+const LIGHT_SCHEME_QUERY = /\(\s*prefers-color-scheme\s*:\s*light\s*\)/gi;
+const CSS_URL = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+
+let colorSchemeRuleCount = 0;
+let lastStorageResult = null;
+// pageStateSignature() of the result last passed to updatePage
+let renderedPageSignature = null;
+
+function mentionsDarkScheme(mediaText) {
+  return /prefers-color-scheme\s*:\s*dark/i.test(mediaText || '');
+}
+
+function emulateSchemeQuery(mediaText) {
+  return mediaText.replace(DARK_SCHEME_QUERY, '(min-width: 0px)').replace(LIGHT_SCHEME_QUERY, '(max-width: 0px)');
+}
+
+// Copied rules resolve url() against the document, not their original sheet
+function absolutizeUrls(cssText, base) {
+  if (!base) return cssText;
+  return cssText.replace(CSS_URL, (match, quote, url) => {
+    if (/^(data|blob|https?):/i.test(url) || url.startsWith('#')) return match;
+    try { return `url("${new URL(url, base).href}")`; } catch (_) { return match; }
+  });
+}
+
+function copyRuleList(rules, base) {
+  let output = '';
+  for (let i = 0; i < rules.length; i++) {
+    output += absolutizeUrls(rules[i].cssText, base) + '\n';
+  }
+  return output;
+}
+
+// Collect dark-scheme blocks; other grouping rules are kept only as wrappers
+function emulateRuleList(rules, base, depth = 0) {
+  if (!rules || depth > 8) return '';
+  let output = '';
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    if (rule.type === CSSRule.MEDIA_RULE) {
+      const media = rule.media.mediaText;
+      if (mentionsDarkScheme(media)) {
+        colorSchemeRuleCount++;
+        output += `@media ${emulateSchemeQuery(media)} {\n${copyRuleList(rule.cssRules, base)}}\n`;
+      } else {
+        const inner = emulateRuleList(rule.cssRules, base, depth + 1);
+        if (inner) output += `@media ${media} {\n${inner}}\n`;
+      }
+    } else if (rule.type === CSSRule.IMPORT_RULE) {
+      const imported = rule.styleSheet ? getSheetRules(rule.styleSheet) : null;
+      if (imported) output += emulateSheetRules(imported, rule.media && rule.media.mediaText, rule.styleSheet.href || base, depth + 1);
+    } else if (rule.type === CSSRule.SUPPORTS_RULE) {
+      const inner = emulateRuleList(rule.cssRules, base, depth + 1);
+      if (inner) output += `@supports ${rule.conditionText} {\n${inner}}\n`;
+    } else if (typeof CSSContainerRule !== 'undefined' && rule instanceof CSSContainerRule) {
+      const inner = emulateRuleList(rule.cssRules, base, depth + 1);
+      if (inner) output += `@container ${rule.conditionText} {\n${inner}}\n`;
+    } else if (typeof CSSLayerBlockRule !== 'undefined' && rule instanceof CSSLayerBlockRule) {
+      output += emulateRuleList(rule.cssRules, base, depth + 1);
+    }
+  }
+  return output;
+}
+
+// A whole sheet can be dark-only: <link media="(prefers-color-scheme: dark)"> or @import ... (prefers-color-scheme: dark)
+function emulateSheetRules(rules, media, base, depth = 0) {
+  if (mentionsDarkScheme(media)) {
+    colorSchemeRuleCount++;
+    return `@media ${emulateSchemeQuery(media)} {\n${copyRuleList(rules, base)}}\n`;
+  }
+  const inner = emulateRuleList(rules, base, depth);
+  return inner && media && media !== 'all' ? `@media ${media} {\n${inner}}\n` : inner;
+}
+
+function emulateColorScheme() {
+  const previousCount = colorSchemeRuleCount;
+  colorSchemeRuleCount = 0;
+
+  let css = '';
+  for (const sheet of document.styleSheets) {
+    if (sheet.disabled || isCyberdarkSheet(sheet)) continue;
+    const rules = getSheetRules(sheet);
+    if (!rules) continue;
+    css += emulateSheetRules(rules, sheet.media && sheet.media.mediaText, sheet.href || document.baseURI);
+  }
+
+  if (colorSchemeRuleCount > 0) {
+    // Form controls and scrollbars follow the site's dark theme too
+    placeOwnedSheet('color-scheme', `:root { color-scheme: dark; }\n${css}`);
+  } else {
+    const style = document.querySelector('style[data-cyberdark="color-scheme"]');
+    if (style) style.remove();
+  }
+  return previousCount;
+}
+
+// Late sheets can turn a plain page into one with its own dark theme (or back)
+function onColorSchemeSheetsChanged() {
+  const previousCount = emulateColorScheme();
+  if ((previousCount > 0) !== (colorSchemeRuleCount > 0) && lastStorageResult) {
+    nativeDarkResult = null;
+    updatePage(lastStorageResult);
+  }
+}
+
+function startColorSchemeEmulation() {
+  if (sheetWatchers.has(onColorSchemeSheetsChanged)) return;
+  emulateColorScheme();
+  // Earlier detection ran without the site's dark rules in effect
+  if (colorSchemeRuleCount > 0) nativeDarkResult = null;
+  watchStyleSheets(onColorSchemeSheetsChanged);
+}
+
+function stopColorSchemeEmulation() {
+  unwatchStyleSheets(onColorSchemeSheetsChanged);
+  const style = document.querySelector('style[data-cyberdark="color-scheme"]');
+  if (style) style.remove();
+  if (colorSchemeRuleCount > 0) nativeDarkResult = null;
+  colorSchemeRuleCount = 0;
+}
+
+function removeCyberdarkStyles() {
+  const target = document.head || document.documentElement;
+  if (!target) return;
+
+  const main = target.querySelector('style[data-cyberdark="main"]');
+  if (main) main.remove();
+
+  const structural = target.querySelector('style[data-cyberdark-structural]');
+  if (structural) structural.remove();
+
+  // Revert structural overrides
+  const overridden = document.querySelectorAll('[data-cyberdark-override="true"]');
+  overridden.forEach(clearStructuralOverride);
+
+  disconnectStructuralObserver();
+  removeCyberdarkShadowDOM();
+  removeSearchFieldTags();
+  stopImageAnalysis();
+  stopBackgroundTheming();
+  stopIconRecoloring();
+  stopDocumentViewer();
+  removePdfDocument();
+  removeSiteFix();
+  removeCustomCss();
+  stopContrastAudit();
+  activeSettings = null;
+  stopSheetRewriting();
+  stopDynamicColors();
+  removeFilterMode();
+  removeSoftenedStyles();
+  activeRenderingMode = null;
+}
+
+// Scheduling: true when the current time falls inside the active window
+function isWithinSchedule(schedule, now = new Date()) {
+  const currentTime = now.getHours() * 60 + now.getMinutes();
+
+  const [startH, startM] = schedule.start.split(':').map(Number);
+  const [endH, endM] = schedule.end.split(':').map(Number);
+  const startTime = startH * 60 + startM;
+  const endTime = endH * 60 + endM;
+
+  let active;
+  if (startTime < endTime) {
+    // Normal range (e.g. 09:00 to 17:00)
+    active = currentTime >= startTime && currentTime < endTime;
+  } else {
+    // Overnight range (e.g. 20:00 to 06:00)
+    active = currentTime >= startTime || currentTime < endTime;
+  }
+
+  if (!active) {
+    if (config.Logger) config.Logger.info('Scheduling: Outside of active hours', { now: currentTime, start: startTime, end: endTime });
+  }
+  return active;
+}
+
+// Merge stored settings with defaults and per-site overrides, then decide whether to apply.
+// Sub-frames receive this already resolved from the background worker.
+function resolvePageSettings(result) {
+  const { enabled, blacklisted, settings: finalSettings } = result.resolved || config.resolveSiteSettings(result, window.location.href);
+
+  let shouldApply = enabled && !blacklisted;
+  if (shouldApply && finalSettings.schedule && finalSettings.schedule.enabled) {
+    shouldApply = isWithinSchedule(finalSettings.schedule);
+  }
+
+  return { shouldApply, blacklisted, settings: finalSettings };
+}
+
+// === Media Tagging ===
+// Media is tagged with data-cyberdark-ready once the page is themed. The emergency
+// stylesheet uses it on canvas/video; filter mode uses it to invert media back.
+const MEDIA_READY_SELECTOR = 'canvas, video, picture, img, svg image, embed, object';
+
+function markMediaReady(root) {
+  if (root.matches && root.matches(MEDIA_READY_SELECTOR)) root.setAttribute('data-cyberdark-ready', 'true');
+  if (root.querySelectorAll) {
+    root.querySelectorAll(MEDIA_READY_SELECTOR).forEach(el => {
+      el.setAttribute('data-cyberdark-ready', 'true');
+    });
+  }
+}
+
+// Observe for dynamically added media elements
+function observeMedia() {
+  if (mediaObserver || !document.body) return;
+  mediaObserver = new MutationObserver(mutations => {
+    const added = [];
+    mutations.forEach(mutation => {
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === 1) {
+          markMediaReady(node);
+          analyzeImages(node);
+          added.push(node);
+        }
+      });
+    });
+    if (added.length === 0) return;
+    if (iconsEnabled) recolorAddedIcons(added);
+    if (!backgroundsEnabled && activeRenderingMode !== 'filter') return;
+    const elements = [];
+    added.forEach(node => {
+      elements.push(node);
+      node.querySelectorAll('*').forEach(child => elements.push(child));
+    });
+    if (backgroundsEnabled) themeBackgrounds(elements);
+    if (activeRenderingMode === 'filter') tagBackgroundImages(elements);
+  });
+  mediaObserver.observe(document.body, { childList: true, subtree: true });
+}
+
+// === Image Analysis ===
+// Each loaded image is sampled at a few dozen pixels: bright opaque images get
+// dimmed, dark line art on transparency gets inverted, photos are left alone.
+// Cross-origin images taint the canvas, so the background worker measures those.
+const MIN_ANALYZED_SIZE = 16;
+const IMAGE_CACHE_MAX = 2000;
+
+// url -> 'bright' | 'lineart' | 'photo' | null (could not be measured)
+const imageClassCache = new Map();
+// url -> callbacks waiting for a measurement
+const imageRequests = new Map();
+let imageAnalysisEnabled = false;
+
+function isSameOriginImage(url) {
+  try {
+    const parsed = new URL(url, document.baseURI);
+    return parsed.origin === window.location.origin || parsed.protocol === 'data:' || parsed.protocol === 'blob:';
+  } catch (_) {
+    return false;
+  }
+}
+
+// Throws a SecurityError when the image turns out to taint the canvas
+function sampleImageLocally(img) {
+  const size = colorUtils.IMAGE_SAMPLE_SIZE;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0, size, size);
+  return colorUtils.summarizePixels(ctx.getImageData(0, 0, size, size).data);
+}
+
+function cacheImageClass(url, imageClass) {
+  if (imageClassCache.size >= IMAGE_CACHE_MAX) imageClassCache.clear();
+  imageClassCache.set(url, imageClass);
+}
+
+function applyImageClass(img, imageClass) {
+  if (imageClass) img.setAttribute('data-cyberdark-image', imageClass);
+  else img.removeAttribute('data-cyberdark-image');
+}
+
+// Class for an image URL. `img` is an already loaded element showing it, which
+// lets same-origin images be sampled without loading them again.
+function requestImageClass(url, img, callback) {
+  if (imageClassCache.has(url)) {
+    callback(imageClassCache.get(url));
+    return;
+  }
+  const waiting = imageRequests.get(url);
+  if (waiting) {
+    waiting.push(callback);
+    return;
+  }
+
+  const sameOrigin = isSameOriginImage(url);
+  if (sameOrigin && img) {
+    try {
+      const imageClass = colorUtils.classifyImage(sampleImageLocally(img));
+      cacheImageClass(url, imageClass);
+      callback(imageClass);
+      return;
+    } catch (_) {
+      // Redirected to another origin; fall through to the background worker
+    }
+  }
+
+  imageRequests.set(url, [callback]);
+  const finish = (imageClass) => {
+    cacheImageClass(url, imageClass);
+    const callbacks = imageRequests.get(url) || [];
+    imageRequests.delete(url);
+    callbacks.forEach(cb => cb(imageClass));
+  };
+
+  if (sameOrigin && !img) {
+    const probe = new Image();
+    probe.onload = () => {
+      try {
+        finish(colorUtils.classifyImage(sampleImageLocally(probe)));
+      } catch (_) {
+        finish(null);
+      }
+    };
+    probe.onerror = () => finish(null);
+    probe.src = url;
+    return;
+  }
+
+  chrome.runtime.sendMessage({ type: 'analyzeImage', url }, (response) => {
+    const stats = !chrome.runtime.lastError && response && response.stats;
+    finish(stats ? colorUtils.classifyImage(stats) : null);
+  });
+}
+
+function classifyLoadedImage(img) {
+  if (!imageAnalysisEnabled || !colorUtils || img.closest(ignoredSelector)) return;
+  const url = img.currentSrc || img.src;
+  if (!url || img.naturalWidth < MIN_ANALYZED_SIZE || img.naturalHeight < MIN_ANALYZED_SIZE) {
+    applyImageClass(img, null);
+    return;
+  }
+
+  requestImageClass(url, img, (imageClass) => {
+    if (imageAnalysisEnabled && (img.currentSrc || img.src) === url) applyImageClass(img, imageClass);
+  });
+}
+
+// Load events do not bubble, but capture sees every image load, including src swaps by lazy loaders
+function onImageLoad(e) {
+  if (e.target && e.target.tagName === 'IMG') classifyLoadedImage(e.target);
+}
+
+function analyzeImages(root) {
+  if (!imageAnalysisEnabled || root.nodeType !== 1) return;
+  const images = root.tagName === 'IMG' ? [root] : root.querySelectorAll('img');
+  images.forEach(img => {
+    if (img.complete && img.naturalWidth) classifyLoadedImage(img);
+  });
+}
+
+function startImageAnalysis() {
+  if (imageAnalysisEnabled) return;
+  imageAnalysisEnabled = true;
+  document.addEventListener('load', onImageLoad, true);
+  if (document.body) analyzeImages(document.body);
+}
+
+function stopImageAnalysis() {
+  imageAnalysisEnabled = false;
+  document.removeEventListener('load', onImageLoad, true);
+  document.querySelectorAll('[data-cyberdark-image]').forEach(el => el.removeAttribute('data-cyberdark-image'));
+}
+
+// === Background Images ===
+// CSS backgrounds are themed layer by layer: light gradients get their color stops
+// remapped, SVG data URIs get their fills and strokes rewritten, and bright raster
+// images get a dimming layer on top. Results are cached per computed value.
+const BACKGROUND_CACHE_MAX = 2000;
+const DIM_LAYER = 'linear-gradient(rgba(0, 0, 0, 0.35), rgba(0, 0, 0, 0.35))';
+const CSS_URL_VALUE = /^url\(\s*(["']?)(.*)\1\s*\)$/s;
+const SVG_DATA_PREFIX = /^data:image\/svg\+xml(;charset=[^;,]+)?(;base64)?,/i;
+const SVG_PAINT = /(\b(?:fill|stroke|stop-color)\s*(?:=\s*["']|:\s*))([^"';}]+)/gi;
+
+// computed background-image -> { value: themed value or null, raster: url to measure or null }
+const backgroundCache = new Map();
+const themedBackgrounds = new Set();
+let backgroundsEnabled = false;
+let backgroundGeneration = 0;
+
+// Top-level comma split; commas inside gradients and url() stay put
+function splitLayers(value) {
+  const layers = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+    if (quote) {
+      if (ch === quote && value[i - 1] !== '\\') quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      layers.push(value.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  layers.push(value.slice(start).trim());
+  return layers;
+}
+
+function isLightGradient(layer) {
+  const stops = colorUtils.extractColors(layer).filter(color => color.a > 0);
+  if (!stops.length) return false;
+  return stops.reduce((sum, color) => sum + colorUtils.relativeLuminance(color), 0) / stops.length > 0.4;
+}
+
+// Light paint becomes dark surface, dark paint becomes light ink
+function remapSvgPaint(value) {
+  const parsed = colorUtils.parseColor(value);
+  if (!parsed || parsed.a === 0) return value;
+  const role = colorUtils.relativeLuminance(parsed) > 0.5 ? 'background' : 'text';
+  return colorUtils.remapColor(value.trim(), role) || value;
+}
+
+function themeSvgDataUri(uri) {
+  const prefix = uri.match(SVG_DATA_PREFIX);
+  let svg;
+  try {
+    const body = uri.slice(prefix[0].length);
+    svg = prefix[2] ? atob(body) : decodeURIComponent(body);
+  } catch (_) {
+    return null;
+  }
+
+  let themed = svg.replace(SVG_PAINT, (match, lead, value) => lead + remapSvgPaint(value));
+  // Unpainted shapes default to black fill, which vanishes on a dark page
+  if (!/\bfill\s*[=:]/i.test(svg)) themed = themed.replace(/<svg\b/i, `<svg fill="${colorUtils.remapColor('#000000', 'text')}"`);
+  if (themed === svg) return null;
+  return `url("data:image/svg+xml,${encodeURIComponent(themed)}")`;
+}
+
+function themeBackgroundValue(value) {
+  const cached = backgroundCache.get(value);
+  if (cached) return cached;
+
+  const layers = splitLayers(value);
+  let changed = false;
+  let raster = null;
+  const themed = layers.map(layer => {
+    if (/gradient\(/i.test(layer)) {
+      if (!isLightGradient(layer)) return layer;
+      changed = true;
+      return colorUtils.replaceColors(layer, 'background');
+    }
+    const url = layer.match(CSS_URL_VALUE);
+    if (!url) return layer;
+    if (SVG_DATA_PREFIX.test(url[2])) {
+      const svg = themeSvgDataUri(url[2]);
+      if (!svg) return layer;
+      changed = true;
+      return svg;
+    }
+    // Only single-layer rasters get dimmed: an extra layer would shift the
+    // page's per-layer background-size/position lists
+    if (layers.length === 1) raster = url[2];
+    return layer;
+  });
+
+  const result = { value: changed ? themed.join(', ') : null, raster };
+  if (backgroundCache.size >= BACKGROUND_CACHE_MAX) backgroundCache.clear();
+  backgroundCache.set(value, result);
+  return result;
+}
+
+function setBackgroundOverride(el, value) {
+  setInlineOverride(el, 'background-image', value);
+  lastWrittenStyle.set(el, el.getAttribute('style'));
+  themedBackgrounds.add(el);
+}
+
+function themeElementBackground(el) {
+  if (!colorUtils || el.closest(ignoredSelector)) return;
+  // Measure the page's own value, not the one we wrote last time
+  clearInlineOverride(el, 'background-image');
+  const value = window.getComputedStyle(el).backgroundImage;
+  if (!value || value === 'none') return;
+
+  const result = themeBackgroundValue(value);
+  if (result.value) setBackgroundOverride(el, result.value);
+
+  if (result.raster && imageAnalysisEnabled) {
+    const generation = backgroundGeneration;
+    requestImageClass(new URL(result.raster, document.baseURI).href, null, (imageClass) => {
+      if (imageClass !== 'bright' || generation !== backgroundGeneration || !el.isConnected) return;
+      if (window.getComputedStyle(el).backgroundImage !== value) return; // Changed meanwhile
+      setBackgroundOverride(el, `${DIM_LAYER}, ${value}`);
+    });
+  }
+}
+
+function themeBackgrounds(elements) {
+  if (!backgroundsEnabled) return;
+  const generation = backgroundGeneration;
+  processInChunks(elements, themeElementBackground, () => backgroundsEnabled && generation === backgroundGeneration);
+}
+
+function startBackgroundTheming() {
+  if (!document.body) return;
+  backgroundsEnabled = true;
+  backgroundGeneration++;
+  themeBackgrounds([document.documentElement, document.body, ...document.body.querySelectorAll('*')]);
+}
+
+function stopBackgroundTheming() {
+  backgroundsEnabled = false;
+  backgroundGeneration++;
+  themedBackgrounds.forEach(el => clearInlineOverride(el, 'background-image'));
+  themedBackgrounds.clear();
+}
+
+// === SVG & Icon Fonts ===
+// Inline SVG icons and icon-font glyphs are checked against the background they
+// actually sit on. Near-black or near-white monochrome icons that lost their contrast
+// are flipped; anything with real color (brand logos, charts) keeps its artwork.
+const ICON_MIN_CONTRAST = 3; // WCAG non-text contrast
+const ICON_MAX_CHROMA = 0.06;
+const ICON_MAX_GLYPH_TEXT = 40; // Ligature icons spell their name ("arrow_forward")
+const SVG_SHAPES = 'path, circle, ellipse, rect, line, polyline, polygon, use';
+const SVG_TEXT = 'text, tspan, textPath';
+const SVG_UNRENDERED = 'defs, mask, clipPath, pattern, marker, symbol';
+
+const recoloredIcons = new Map(); // element -> Set of overridden properties
+let iconsEnabled = false;
+let iconGeneration = 0;
+
+function setIconOverride(el, prop, value) {
+  setInlineOverride(el, prop, value);
+  lastWrittenStyle.set(el, el.getAttribute('style'));
+  if (!recoloredIcons.has(el)) recoloredIcons.set(el, new Set());
+  recoloredIcons.get(el).add(prop);
+}
+
+function clearIconOverrides(el) {
+  const props = recoloredIcons.get(el);
+  if (!props) return;
+  props.forEach(prop => clearInlineOverride(el, prop));
+  recoloredIcons.delete(el);
+}
+
+// 'dark' or 'light' for a near-black/near-white neutral paint, null for anything else
+function paintTone(color) {
+  if (colorUtils.rgbToOklch(color).c > ICON_MAX_CHROMA) return null;
+  const luminance = colorUtils.relativeLuminance(color);
+  if (luminance < 0.18) return 'dark';
+  if (luminance > 0.5) return 'light';
+  return null;
+}
+
+// Opposite tone from the active palette
+function flippedPaint(tone) {
+  return tone === 'dark' ? colorUtils.remapColor('#000000', 'text') : colorUtils.remapColor('#ffffff', 'background');
+}
+
+// Fill and stroke of every rendered shape, or null when the artwork is not a plain
+// single-tone icon (gradients, colored or two-tone paints)
+function collectSvgPaints(svg, selector) {
+  const paints = [];
+  for (const shape of svg.querySelectorAll(selector)) {
+    if (shape.closest(SVG_UNRENDERED)) continue;
+    const computed = window.getComputedStyle(shape);
+    for (const prop of ['fill', 'stroke']) {
+      const value = computed[prop];
+      if (!value || value === 'none') continue;
+      if (value.startsWith('url(')) return null;
+      const color = colorUtils.parseColor(value);
+      if (!color || color.a === 0) continue;
+      const tone = paintTone(color);
+      if (!tone) return null;
+      paints.push({ shape, prop, color, tone });
+    }
+  }
+  if (paints.length === 0 || paints.some(paint => paint.tone !== paints[0].tone)) return null;
+  return paints;
+}
+
+function flipIfInvisible(paints, bg) {
+  if (!paints || paints.every(paint => colorUtils.contrastRatio(paint.color, bg) >= ICON_MIN_CONTRAST)) return;
+  const flipped = flippedPaint(paints[0].tone);
+  paints.forEach(paint => setIconOverride(paint.shape, paint.prop, flipped));
+}
+
+function recolorSvg(svg) {
+  if (svg.ownerSVGElement || svg.closest(ignoredSelector)) return; // Nested SVGs belong to the outer one
+  svg.querySelectorAll('*').forEach(clearIconOverrides);
+
+  const bg = effectiveBackground(svg);
+  flipIfInvisible(collectSvgPaints(svg, SVG_SHAPES), bg);
+  // Labels are judged on their own, so axis text in a colorful chart still gets fixed
+  flipIfInvisible(collectSvgPaints(svg, SVG_TEXT), bg);
+}
+
+function recolorIconGlyph(el) {
+  if (el.childElementCount > 0 || el.textContent.trim().length > ICON_MAX_GLYPH_TEXT) return;
+  if (el.closest(ignoredSelector)) return;
+  clearIconOverrides(el);
+
+  const fg = colorUtils.parseColor(window.getComputedStyle(el).color);
+  if (!fg || fg.a === 0) return;
+  const bg = effectiveBackground(el);
+  if (colorUtils.contrastRatio(fg, bg) >= ICON_MIN_CONTRAST) return;
+  // Neutral glyphs flip like SVG icons; colored ones keep their hue and only move in lightness
+  const tone = paintTone(fg);
+  setIconOverride(el, 'color', tone ? flippedPaint(tone) : colorUtils.formatColor(liftForeground(fg, bg, ICON_MIN_CONTRAST)));
+}
+
+function recolorIcon(el) {
+  if (el instanceof SVGSVGElement) recolorSvg(el);
+  else recolorIconGlyph(el);
+}
+
+function recolorIcons(elements) {
+  if (!iconsEnabled) return;
+  const generation = iconGeneration;
+  processInChunks(elements, recolorIcon, () => iconsEnabled && generation === iconGeneration);
+}
+
+// Shapes added to an existing SVG re-check the whole icon
+function recolorAddedIcons(nodes) {
+  const icons = new Set();
+  nodes.forEach(node => {
+    const outer = node instanceof SVGElement && node.ownerSVGElement;
+    if (outer) {
+      let svg = outer;
+      while (svg.ownerSVGElement) svg = svg.ownerSVGElement;
+      icons.add(svg);
+      return;
+    }
+    if (node.matches(`svg, ${ICON_FONT_SELECTOR}`)) icons.add(node);
+    node.querySelectorAll(`svg, ${ICON_FONT_SELECTOR}`).forEach(el => icons.add(el));
+  });
+  recolorIcons(Array.from(icons));
+}
+
+function startIconRecoloring() {
+  if (!colorUtils || !document.body) return;
+  iconsEnabled = true;
+  iconGeneration++;
+  recolorIcons(Array.from(document.body.querySelectorAll(`svg, ${ICON_FONT_SELECTOR}`)));
+}
+
+function stopIconRecoloring() {
+  iconsEnabled = false;
+  iconGeneration++;
+  recoloredIcons.forEach((props, el) => props.forEach(prop => clearInlineOverride(el, prop)));
+  recoloredIcons.clear();
+}
+
+// === PDF Documents ===
+// The browser's PDF viewer already does text selection, find and zoom, so PDFs are
+// darkened by filtering its <embed> rather than re-rendering pages. PDFs embedded in
+// pages get the same treatment through the main stylesheet.
+const isPdfDocument = document.contentType === 'application/pdf';
+const PDF_EMBED_SELECTOR = 'embed[type="application/pdf"], object[type="application/pdf"]';
+const SEPIA_HUE = 35; // Where sepia() lands; the tint rotates it onto the palette color
+
+function hueOf({ r, g, b }) {
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+  if (delta === 0) return 0;
+  let hue;
+  if (max === r) hue = ((g - b) / delta) % 6;
+  else if (max === g) hue = (b - r) / delta + 2;
+  else hue = (r - g) / delta + 4;
+  return (hue * 60 + 360) % 360;
+}
+
+// Inversion is followed by a half-turn so colored figures keep their hues
+function pdfFilter(treatment, palette) {
+  switch (treatment) {
+    case 'invert':
+      return 'invert(0.9) hue-rotate(180deg)';
+    case 'sepia':
+      return 'invert(0.88) hue-rotate(180deg) sepia(0.4)';
+    case 'tint': {
+      const color = colorUtils && colorUtils.parseColor(palette.color1);
+      const hue = color ? hueOf(color) : 180;
+      return `invert(0.9) sepia(1) hue-rotate(${Math.round(hue - SEPIA_HUE)}deg) saturate(1.6)`;
+    }
+    default:
+      return '';
+  }
+}
+
+function buildPdfCSS(settings, palette) {
+  const filter = pdfFilter(settings.pdfTreatment, palette);
+  return filter ? `${PDF_EMBED_SELECTOR} { filter: ${filter} !important; }` : '';
+}
+
+const cyberdarkPdfChooserCSS = `
+#cyberdark-pdf-chooser {
+  position: fixed;
+  bottom: 16px;
+  left: 16px;
+  display: flex;
+  gap: 4px;
+  padding: 4px;
+  background-color: #1a1a1a;
+  border: 1px solid #444;
+  border-radius: 6px;
+  z-index: 2147483647;
+  font: 12px/1.4 system-ui, -apple-system, sans-serif;
+  opacity: 0.5;
+  transition: opacity 0.2s ease;
+}
+
+#cyberdark-pdf-chooser:hover,
+#cyberdark-pdf-chooser:focus-within {
+  opacity: 1;
+}
+
+#cyberdark-pdf-chooser[data-error] {
+  border-color: #ff6b6b;
+  opacity: 1;
+}
+
+#cyberdark-pdf-chooser button {
+  all: unset;
+  cursor: pointer;
+  padding: 3px 8px;
+  border-radius: 4px;
+  color: #e0e0e0;
+}
+
+#cyberdark-pdf-chooser button[aria-pressed="true"] {
+  color: #1a1a1a;
+  background-color: #4db8ff;
+}
+`;
+
+const PDF_CHOOSER_OPTIONS = [['Invert', 'invert'], ['Sepia', 'sepia'], ['Tint', 'tint'], ['Off here', 'off']];
+
+// Treatments are global; "Off here" is a per-site override that picking a treatment clears.
+// The write goes through the same checks as the options page, and a failure marks the chooser.
+function savePdfTreatment(treatment) {
+  const hostname = window.location.hostname;
+  chrome.storage.sync.get(['cyberdarkSettings'], (result) => {
+    if (chrome.runtime.lastError) {
+      reportPdfChooserError('Could not read settings', chrome.runtime.lastError.message);
+      return;
+    }
+    const stored = config.migrateSettings ? config.migrateSettings(result.cyberdarkSettings) : result.cyberdarkSettings;
+    let settings = Object.assign({}, cyberdarkDefaults, stored || {});
+    const overrides = Object.assign({}, settings.perSiteOverrides || {});
+    const site = Object.assign({}, overrides[hostname] || {});
+    if (treatment === 'off') {
+      site.pdfTreatment = 'off';
+    } else {
+      delete site.pdfTreatment;
+      settings.pdfTreatment = treatment;
+    }
+    if (Object.keys(site).length > 0) overrides[hostname] = site;
+    else delete overrides[hostname];
+    settings.perSiteOverrides = overrides;
+
+    if (validate) settings = validate.validateSettingsObject(settings, cyberdarkDefaults);
+    if (validate && !validate.fitsInSyncQuota(settings)) {
+      reportPdfChooserError('Settings too large to save PDF treatment', { hostname });
+      return;
+    }
+
+    chrome.storage.sync.set({ cyberdarkSettings: settings }, () => {
+      if (chrome.runtime.lastError) {
+        reportPdfChooserError('Could not save PDF treatment', chrome.runtime.lastError.message);
+        return;
+      }
+      reportPdfChooserError(null);
+    });
+  });
+}
+
+// Marks the chooser until the next successful save; null clears it
+function reportPdfChooserError(message, detail) {
+  const chooser = document.getElementById('cyberdark-pdf-chooser');
+  if (!message) {
+    if (chooser) {
+      chooser.removeAttribute('data-error');
+      chooser.removeAttribute('title');
+    }
+    return;
+  }
+  if (config.Logger) config.Logger.warn(message, detail);
+  if (chooser) {
+    chooser.setAttribute('data-error', 'true');
+    chooser.title = message;
+  }
+}
+
+function showPdfChooser(treatment) {
+  if (!document.body) return;
+  let chooser = document.getElementById('cyberdark-pdf-chooser');
+  if (!chooser) {
+    placeOwnedSheet('pdf-chooser', cyberdarkPdfChooserCSS);
+    chooser = document.createElement('div');
+    chooser.id = 'cyberdark-pdf-chooser';
+    chooser.setAttribute('data-cyberdark-ui', 'true');
+    chooser.setAttribute('role', 'toolbar');
+    chooser.setAttribute('aria-label', 'Cyberdark PDF dark mode');
+    PDF_CHOOSER_OPTIONS.forEach(([label, value]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.dataset.treatment = value;
+      button.addEventListener('click', () => savePdfTreatment(value));
+      chooser.appendChild(button);
+    });
+    document.body.appendChild(chooser);
+  }
+  chooser.querySelectorAll('button').forEach(button => {
+    button.setAttribute('aria-pressed', String(button.dataset.treatment === treatment));
+  });
+}
+
+// A PDF document gets only the viewer filter; the page stylesheet has nothing to style
+function applyPdfDocument(settings) {
+  const filter = buildPdfCSS(settings, resolvePalette(settings));
+  if (filter) {
+    placeOwnedSheet('pdf', `html, body { background-color: #1a1a1a !important; }\n${filter}`);
+  } else {
+    const style = document.querySelector('style[data-cyberdark="pdf"]');
+    if (style) style.remove();
+  }
+  // The chooser stays up when off, so the treatment can be turned back on
+  if (isTopFrame) showPdfChooser(settings.pdfTreatment || 'invert');
+}
+
+function removePdfDocument() {
+  document.querySelectorAll('style[data-cyberdark="pdf"], style[data-cyberdark="pdf-chooser"], #cyberdark-pdf-chooser')
+    .forEach(node => node.remove());
+}
+
+// === Site Fixes ===
+// Declarative fixes from site-fixes.js (bundled database plus user files). Skip and
+// mode are settled in resolveSiteSettings; invert selectors and extra CSS get their
+// own sheet, and ignored elements are left out of every per-element pass.
+const siteFixes = typeof CyberdarkSiteFixes !== 'undefined' ? CyberdarkSiteFixes : null;
+const USER_FIXES_KEY = siteFixes ? siteFixes.USER_FIXES_KEY : 'cyberdarkUserFixes';
+const UI_SELECTOR = '[data-cyberdark-ui]';
+let ignoredSelector = UI_SELECTOR; // Our own UI plus the site fix's ignore selectors
+let lastSiteFix = null;
+let lastSiteFixReport = '';
+
+function reportSiteFix(fix) {
+  lastSiteFix = fix;
+  const report = fix ? JSON.stringify(fix.matched) : '';
+  if (!fix || !fix.matched.length || report === lastSiteFixReport) return;
+  lastSiteFixReport = report;
+  if (config.Logger) config.Logger.info('Site fixes matched', fix.matched);
+}
+
+// Selector syntax is only checked where a DOM exists, so a stored fix can still hold one
+// that doesn't parse. Each selector is tried on its own and bad ones are dropped (once
+// logged), since one of them would break closest() and the whole invert rule.
+const selectorChecks = new Map();
+
+function parsableSelectors(selectors) {
+  return selectors.filter(selector => {
+    if (!selectorChecks.has(selector)) {
+      let ok = true;
+      try {
+        document.createDocumentFragment().querySelector(selector);
+      } catch (_) {
+        ok = false;
+        if (config.Logger) config.Logger.warn('Skipping site fix selector that does not parse', selector);
+      }
+      selectorChecks.set(selector, ok);
+    }
+    return selectorChecks.get(selector);
+  });
+}
+
+function buildSiteFixCSS(fix) {
+  const rules = [];
+  const invert = parsableSelectors(fix.invert);
+  if (invert.length) rules.push(`${invert.join(', ')} { filter: ${FILTER_VALUE} !important; }`);
+  // Fix CSS was validated when the file was loaded and again when resolved
+  if (fix.css) rules.push(fix.css);
+  return rules.join('\n');
+}
+
+function applySiteFix(fix) {
+  if (!fix) {
+    removeSiteFix();
+    return;
+  }
+  const selector = [UI_SELECTOR, ...parsableSelectors(fix.ignore)].join(', ');
+  if (selector !== ignoredSelector) {
+    ignoredSelector = selector;
+    releaseIgnoredElements();
+  }
+  const css = buildSiteFixCSS(fix);
+  if (css) placeOwnedSheet('site-fix', css);
+  else removeSiteFixSheet();
+}
+
+// Elements themed before their ignore rule arrived give their overrides back
+function releaseIgnoredElements() {
+  Array.from(overriddenElements).forEach(el => {
+    if (!el.closest(ignoredSelector)) return;
+    clearInlineOverrides(el);
+    recoloredIcons.delete(el);
+    themedBackgrounds.delete(el);
+  });
+  document.querySelectorAll('[data-cyberdark-image]').forEach(img => {
+    if (img.closest(ignoredSelector)) img.removeAttribute('data-cyberdark-image');
+  });
+}
+
+function removeSiteFixSheet() {
+  const style = document.querySelector('style[data-cyberdark="site-fix"]');
+  if (style) style.remove();
+}
+
+function removeSiteFix() {
+  ignoredSelector = UI_SELECTOR;
+  removeSiteFixSheet();
+}
+
+// === Element Picker ===
+// Started from the popup: hover highlights, click selects, then one of the actions
+// is previewed on the live page and saved as a site fix in the "Picked elements"
+// user fix file, so it applies on every visit and can be removed from the options page.
+const PICKED_FIXES_NAME = 'Picked elements';
+const PICKER_STABLE_ATTRS = ['data-testid', 'data-test', 'data-qa', 'data-cy', 'data-component', 'data-module', 'aria-label', 'name', 'role'];
+const PICKER_STATE_CLASSES = /^(is-|has-)|^(active|selected|open|hover|focus|focused|visible|hidden|show|expanded|collapsed|disabled)$/i;
+
+const PICKER_ACTIONS = {
+  exclude: { label: 'Exclude', fix: selector => ({ ignore: [selector] }) },
+  invert: { label: 'Invert', fix: selector => ({ invert: [selector] }) },
+  darkBackground: {
+    label: 'Dark background',
+    fix: selector => ({ css: `${selector} { background-color: var(--dark-bg, #1a1a1a) !important; background-image: none !important; }` })
+  },
+  lightText: {
+    label: 'Light text',
+    fix: selector => ({ css: `${selector}, ${selector} * { color: var(--dark-text, #e0e0e0) !important; }` })
+  }
+};
+
+const cyberdarkPickerCSS = `
+#cyberdark-picker-highlight {
+  position: fixed;
+  pointer-events: none;
+  z-index: 2147483646;
+  background-color: rgba(77, 184, 255, 0.2);
+  outline: 2px solid #4db8ff;
+  transition: all 0.05s linear;
+}
+
+#cyberdark-picker {
+  position: fixed;
+  top: 16px;
+  right: 16px;
+  width: 300px;
+  padding: 10px;
+  background-color: #1a1a1a !important;
+  color: #e0e0e0 !important;
+  border: 1px solid #444;
+  border-radius: 8px;
+  box-shadow: 0 4px 12px rgba(0,0,0,0.4);
+  z-index: 2147483647;
+  font: 12px/1.4 system-ui, -apple-system, sans-serif;
+}
+
+#cyberdark-picker input {
+  all: unset;
+  box-sizing: border-box;
+  display: block;
+  width: 100%;
+  margin: 6px 0;
+  padding: 4px 6px !important;
+  font: 11px/1.4 ui-monospace, monospace;
+  color: #e0e0e0 !important;
+  background-color: #2b2b2b !important;
+  border: 1px solid #444 !important;
+  border-radius: 4px;
+}
+
+#cyberdark-picker .cyberdark-picker-row {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 4px;
+  margin-top: 6px;
+}
+
+#cyberdark-picker button {
+  all: unset;
+  cursor: pointer;
+  padding: 3px 8px !important;
+  border: 1px solid #4db8ff !important;
+  border-radius: 4px;
+  color: #4db8ff !important;
+  background-color: transparent !important;
+}
+
+#cyberdark-picker button[aria-pressed="true"] {
+  color: #1a1a1a !important;
+  background-color: #4db8ff !important;
+}
+
+#cyberdark-picker button:disabled {
+  opacity: 0.5;
+  cursor: default;
+}
+`;
+
+let pickerPanel = null;
+let pickerHighlight = null;
+let pickedElement = null;
+let pickerAction = null;
+
+// Generated ids and classes (hashes, counters, CSS-in-JS) change between visits
+function isStableToken(token) {
+  return token.length <= 40 &&
+    /^[a-z][\w-]*$/i.test(token) &&
+    !/\d{3,}|[a-z]\d[a-z]\d/i.test(token) &&
+    !/^(css|sc|jsx|svelte|emotion|styled)-/i.test(token) &&
+    !token.startsWith('cyberdark');
+}
+
+function cssString(value) {
+  return `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+function selectorPart(el) {
+  if (el.id && isStableToken(el.id)) return `#${CSS.escape(el.id)}`;
+  const tag = el.localName;
+  for (const attr of PICKER_STABLE_ATTRS) {
+    const value = el.getAttribute(attr);
+    if (value && value.length <= 60 && !/[\n\r]/.test(value)) return `${tag}[${attr}=${cssString(value)}]`;
+  }
+  const classes = Array.from(el.classList).filter(c => isStableToken(c) && !PICKER_STATE_CLASSES.test(c)).slice(0, 2);
+  return tag + classes.map(c => `.${CSS.escape(c)}`).join('');
+}
+
+function isUniqueSelector(selector, el) {
   try {
-    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
-      chrome.storage.sync.get(['cyberdarkEnabled', 'cyberdarkSettings'], (result) => {
-        const enabled = result.cyberdarkEnabled === true;
-        const settings = Object.assign({}, cyberdarkDefaults, result.cyberdarkSettings || {});
-        const domain = window.location.hostname;
-        const overrides = (settings.perSiteOverrides && settings.perSiteOverrides[domain]) || {};
-        const finalSettings = Object.assign({}, settings, overrides);
-        const blacklisted = config.isBlacklisted(domain, finalSettings.blacklist);
-
-        // Scheduling Check
-        let shouldApply = enabled && !blacklisted;
-        if (shouldApply && finalSettings.schedule && finalSettings.schedule.enabled) {
-          const now = new Date();
-          const currentTime = now.getHours() * 60 + now.getMinutes();
-
-          const [startH, startM] = finalSettings.schedule.start.split(':').map(Number);
-          const [endH, endM] = finalSettings.schedule.end.split(':').map(Number);
-          const startTime = startH * 60 + startM;
-          const endTime = endH * 60 + endM;
-
-          if (startTime < endTime) {
-            // Normal range (e.g. 09:00 to 17:00)
-            shouldApply = currentTime >= startTime && currentTime < endTime;
-          } else {
-            // Overnight range (e.g. 20:00 to 06:00)
-            shouldApply = currentTime >= startTime || currentTime < endTime;
-          }
+    const matches = document.querySelectorAll(selector);
+    return matches.length === 1 && matches[0] === el;
+  } catch (_) {
+    return false;
+  }
+}
 
-          if (!shouldApply) {
-            if (config.Logger) config.Logger.info('Scheduling: Outside of active hours', { now: currentTime, start: startTime, end: endTime });
-          }
-        }
+/**
+ * Shortest child-combinator path that matches only this element, built from ids,
+ * stable data attributes and class names; :nth-of-type is the last resort
+ */
+function buildElementSelector(el) {
+  const parts = [];
+  for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+    let part = selectorPart(node);
+    parts.unshift(part);
+    if (isUniqueSelector(parts.join(' > '), el)) return parts.join(' > ');
+
+    const parent = node.parentElement;
+    const siblings = parent ? Array.from(parent.children).filter(child => child.localName === node.localName) : [];
+    if (!part.startsWith('#') && siblings.length > 1) {
+      part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      parts[0] = part;
+      if (isUniqueSelector(parts.join(' > '), el)) return parts.join(' > ');
+    }
+  }
+  return parts.join(' > ');
+}
 
-        if (shouldApply) {
-          // Remove emergency dark as we apply full styles (smooth transition)
-          removeEmergencyDark(true);
+function highlightElement(el) {
+  if (!pickerHighlight) return;
+  if (!el) {
+    pickerHighlight.style.display = 'none';
+    return;
+  }
+  const rect = el.getBoundingClientRect();
+  Object.assign(pickerHighlight.style, {
+    display: 'block',
+    top: `${rect.top}px`,
+    left: `${rect.left}px`,
+    width: `${rect.width}px`,
+    height: `${rect.height}px`
+  });
+}
 
-          // Analytics: Increment pages darkened (throttled)
-          // We can't write to storage directly from content script easily without permission or messaging
-          // So we'll just log it for now, or send message to background if we had one listening
-          if (config.Logger) config.Logger.info('Applying Cyberdark styles', { domain });
+function isPickable(el) {
+  return el && el.nodeType === 1 && el !== document.documentElement && el !== document.body && !el.closest(UI_SELECTOR);
+}
 
-          applyCyberdarkStyles(finalSettings);
-          applyCyberdarkIframes();
-          applyCyberdarkShadowDOM();
+function onPickerMove(e) {
+  if (pickedElement) return;
+  highlightElement(isPickable(e.target) ? e.target : null);
+}
 
-          // Structural overrides
-          injectStructuralDarkCSS();
-          document.querySelectorAll('thead, th, .header-row, [role="columnheader"], .info-bar, .status-row, .notice, .alert, [role="status"], [role="alert"]').forEach(overrideStructuralInlineStyles);
-          observeStructuralElements();
+// Page handlers never see the click that selects an element
+function onPickerClick(e) {
+  if (!isPickable(e.target)) return;
+  e.preventDefault();
+  e.stopImmediatePropagation();
+  if (e.type === 'click') selectPickedElement(e.target);
+}
 
-          // Mark canvas/video as ready for filter removal
-          document.querySelectorAll('canvas, video').forEach(el => {
-            el.setAttribute('data-cyberdark-ready', 'true');
-          });
+function onPickerKey(e) {
+  if (e.key === 'Escape') stopPicker();
+}
 
-          // Observe for dynamically added canvas/video elements
-          if (!mediaObserver && document.body) {
-            mediaObserver = new MutationObserver(mutations => {
-              mutations.forEach(mutation => {
-                mutation.addedNodes.forEach(node => {
-                  if (node.nodeType === 1) {
-                    if (node.tagName === 'CANVAS' || node.tagName === 'VIDEO') {
-                      node.setAttribute('data-cyberdark-ready', 'true');
-                    }
-                    if (node.querySelectorAll) {
-                      node.querySelectorAll('canvas, video').forEach(el => {
-                        el.setAttribute('data-cyberdark-ready', 'true');
-                      });
-                    }
-                  }
-                });
-              });
-            });
-            mediaObserver.observe(document.body, { childList: true, subtree: true });
-          }
-        } else {
-          // Extension disabled or blacklisted - remove emergency dark immediately
-          removeEmergencyDark(false);
-          removeCyberdarkStyles();
-          // Disconnect media observer when disabled
-          if (mediaObserver) {
-            mediaObserver.disconnect();
-            mediaObserver = null;
-          }
-        }
-      });
+function onPickerScroll() {
+  if (pickedElement) highlightElement(pickedElement);
+}
+
+// An edited selector may match more elements, but must still match the picked one
+function selectorMatchesPick(selector) {
+  if (!pickedElement || !selector || /[{}<;]/.test(selector)) return false;
+  try {
+    return pickedElement.matches(selector);
+  } catch (_) {
+    return false;
+  }
+}
+
+// Preview: the page re-themed with the pending rule merged into its site fix
+function previewPickerAction() {
+  // Mid-print the theme stays lifted (see Print)
+  if (!lastStorageResult || printSuspended) return;
+  const { shouldApply, settings } = resolvePageSettings(lastStorageResult);
+  if (!shouldApply) return;
+  const selector = pickerPanel.querySelector('input').value.trim();
+  if (pickerAction && selectorMatchesPick(selector)) {
+    settings.siteFix = mergeFix(settings.siteFix, PICKER_ACTIONS[pickerAction].fix(selector));
+  }
+  applyCyberdark(settings);
+  // Sheets the preview added print like the rest, as updatePage would leave them
+  applyPrintMedia();
+}
+
+function mergeFix(fix, addition) {
+  const merged = Object.assign({ skip: false, mode: null, invert: [], ignore: [], css: '', matched: [] }, fix);
+  merged.invert = merged.invert.concat(addition.invert || []);
+  merged.ignore = merged.ignore.concat(addition.ignore || []);
+  if (addition.css) merged.css = merged.css ? `${merged.css}\n${addition.css}` : addition.css;
+  return merged;
+}
+
+function selectPickedElement(el) {
+  pickedElement = el;
+  highlightElement(el);
+  pickerPanel.querySelector('input').value = buildElementSelector(el);
+  pickerPanel.querySelectorAll('button[data-needs-pick]').forEach(button => { button.disabled = false; });
+  if (pickerAction) previewPickerAction();
+}
+
+function setPickerAction(action) {
+  pickerAction = pickerAction === action ? null : action;
+  pickerPanel.querySelectorAll('button[data-action]').forEach(button => {
+    button.setAttribute('aria-pressed', String(button.dataset.action === pickerAction));
+  });
+  previewPickerAction();
+}
+
+// Picks for a host share one fix in the "Picked elements" file
+function savePickedRule(selector, action) {
+  const hostname = window.location.hostname;
+  const addition = PICKER_ACTIONS[action].fix(selector);
+  chrome.storage.local.get([USER_FIXES_KEY], (stored) => {
+    const files = Array.isArray(stored[USER_FIXES_KEY]) ? stored[USER_FIXES_KEY] : [];
+    let file = files.find(f => f.name === PICKED_FIXES_NAME);
+    if (!file) {
+      file = { name: PICKED_FIXES_NAME, fixes: [] };
+      files.push(file);
+    }
+    let fix = file.fixes.find(f => f.url.length === 1 && f.url[0] === hostname);
+    if (!fix) {
+      fix = { url: [hostname] };
+      file.fixes.push(fix);
+    }
+    ['invert', 'ignore'].forEach(field => {
+      if (addition[field]) fix[field] = Array.from(new Set((fix[field] || []).concat(addition[field])));
+    });
+    if (addition.css) fix.css = fix.css ? `${fix.css}\n${addition.css}` : addition.css;
+    // Stored files are trusted when matching, so they're validated here like imports
+    if (siteFixes) file.fixes = siteFixes.validateFixList(file.fixes).fixes;
+
+    chrome.storage.local.set({ [USER_FIXES_KEY]: files }, () => {
+      if (chrome.runtime.lastError && config.Logger) config.Logger.error('Saving picked element failed', chrome.runtime.lastError);
+    });
+  });
+}
+
+function buildPickerPanel() {
+  const panel = document.createElement('div');
+  panel.id = 'cyberdark-picker';
+  panel.setAttribute('data-cyberdark-ui', 'true');
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'Cyberdark element picker');
+
+  const hint = document.createElement('div');
+  hint.textContent = 'Click an element to fix it. Esc cancels.';
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.spellcheck = false;
+  input.setAttribute('aria-label', 'Selector');
+  input.addEventListener('input', () => {
+    if (pickedElement) previewPickerAction();
+  });
+
+  const addButton = (row, label, onClick, needsPick) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    if (needsPick) {
+      button.disabled = true;
+      button.setAttribute('data-needs-pick', 'true');
+    }
+    button.addEventListener('click', onClick);
+    row.appendChild(button);
+    return button;
+  };
+
+  const actions = document.createElement('div');
+  actions.className = 'cyberdark-picker-row';
+  Object.entries(PICKER_ACTIONS).forEach(([action, { label }]) => {
+    addButton(actions, label, () => setPickerAction(action), true).dataset.action = action;
+  });
+
+  const controls = document.createElement('div');
+  controls.className = 'cyberdark-picker-row';
+  addButton(controls, 'Parent', () => {
+    if (pickedElement && isPickable(pickedElement.parentElement)) selectPickedElement(pickedElement.parentElement);
+  }, true);
+  addButton(controls, 'Repick', () => {
+    pickedElement = null;
+    highlightElement(null);
+  }, true);
+  addButton(controls, 'Save', () => {
+    const selector = input.value.trim();
+    if (!pickerAction || !selectorMatchesPick(selector)) {
+      hint.textContent = pickerAction ? 'The selector must match the picked element.' : 'Choose an action first.';
+      return;
+    }
+    savePickedRule(selector, pickerAction);
+    stopPicker(true);
+  }, true);
+  addButton(controls, 'Cancel', () => stopPicker());
+
+  panel.append(hint, input, actions, controls);
+  return panel;
+}
+
+function startPicker() {
+  if (pickerPanel || !document.body) return;
+  placeOwnedSheet('picker', cyberdarkPickerCSS);
+  pickerHighlight = document.createElement('div');
+  pickerHighlight.id = 'cyberdark-picker-highlight';
+  pickerHighlight.setAttribute('data-cyberdark-ui', 'true');
+  pickerPanel = buildPickerPanel();
+  document.body.append(pickerHighlight, pickerPanel);
+
+  document.addEventListener('mouseover', onPickerMove, true);
+  ['mousedown', 'mouseup', 'click'].forEach(type => document.addEventListener(type, onPickerClick, true));
+  document.addEventListener('keydown', onPickerKey, true);
+  window.addEventListener('scroll', onPickerScroll, true);
+}
+
+// A saved rule re-themes the page through the storage listener; a cancelled preview
+// is undone by re-applying the stored state
+function stopPicker(saved = false) {
+  if (!pickerPanel) return;
+  document.removeEventListener('mouseover', onPickerMove, true);
+  ['mousedown', 'mouseup', 'click'].forEach(type => document.removeEventListener(type, onPickerClick, true));
+  document.removeEventListener('keydown', onPickerKey, true);
+  window.removeEventListener('scroll', onPickerScroll, true);
+  pickerPanel.remove();
+  pickerHighlight.remove();
+  const style = document.querySelector('style[data-cyberdark="picker"]');
+  if (style) style.remove();
+
+  const previewed = !!pickerAction;
+  pickerPanel = null;
+  pickerHighlight = null;
+  pickedElement = null;
+  pickerAction = null;
+  if (previewed && !saved && lastStorageResult) updatePage(lastStorageResult);
+}
+
+// === Custom CSS ===
+// Per-site CSS from the options page, placed after every Cyberdark sheet so it can
+// fix what the theme breaks. Storage is user-editable, so it is re-validated here.
+function isCustomCssKey(key) {
+  return !!config.CUSTOM_CSS_PREFIX && key.startsWith(config.CUSTOM_CSS_PREFIX);
+}
+
+function applyCustomCss(css) {
+  const safe = validate && css ? validate.sanitizeCustomCss(css) : '';
+  if (safe) placeOwnedSheet('custom', safe);
+  else removeCustomCss();
+}
+
+function removeCustomCss() {
+  const style = document.querySelector('style[data-cyberdark="custom"]');
+  if (style) style.remove();
+}
+
+// === Document Viewer ===
+// Raw text, JSON, XML and source responses get a dedicated viewer instead of a
+// darkened <pre>: pretty-printed, colored with the code theme, with a raw toggle.
+const viewerUtils = typeof CyberdarkViewer !== 'undefined' ? CyberdarkViewer : null;
+let documentViewer = null;
+let documentViewerPending = false;
+
+function getViewerSource(kind) {
+  const pre = document.body && document.body.querySelector(':scope > pre');
+  if (pre) return { text: pre.textContent };
+  // XML without a stylesheet: walk the parsed document itself
+  if (kind === 'xml' && !(document instanceof HTMLDocument)) return { text: '', xmlDocument: document };
+  return null;
+}
+
+function startDocumentViewer(settings) {
+  const kind = viewerUtils && settings.textViewer !== false ? viewerUtils.detectViewerKind(document.contentType) : null;
+  if (!kind) {
+    stopDocumentViewer();
+    return;
+  }
+  // The raw text streams in until the parser is done
+  if (document.readyState === 'loading') {
+    if (!documentViewerPending) {
+      documentViewerPending = true;
+      document.addEventListener('DOMContentLoaded', () => {
+        documentViewerPending = false;
+        if (activeSettings) startDocumentViewer(activeSettings);
+      }, { once: true });
+    }
+    return;
+  }
+
+  stopDocumentViewer(); // Before reading the source: an XML walk would include the old viewer
+  const source = getViewerSource(kind);
+  if (!source) return;
+  documentViewer = viewerUtils.createViewer(document, {
+    kind,
+    source,
+    colors: resolveCodeColors(settings, resolvePalette(settings)),
+    media: ownedSheetMedia()
+  });
+  (document.body || document.documentElement).appendChild(documentViewer);
+}
+
+function stopDocumentViewer() {
+  if (documentViewer) documentViewer.remove();
+  documentViewer = null;
+}
+
+// === Filter Rendering Mode ===
+// Inverts the whole page with invert() + hue-rotate() on the root, then inverts
+// tagged media back. Fallback for complex apps where the CSS approach breaks.
+const FILTER_VALUE = 'invert(1) hue-rotate(180deg)';
+
+// Rendering mode currently applied to the page (null when Cyberdark is off here)
+let activeRenderingMode = null;
+let filterGeneration = 0;
+
+function applyFilterMode(settings) {
+  const target = document.head || document.documentElement;
+  if (!target) return;
+
+  let style = target.querySelector('style[data-cyberdark="filter"]');
+  if (!style) {
+    style = document.createElement('style');
+    style.setAttribute('data-cyberdark', 'filter');
+    style.media = ownedSheetMedia();
+    target.appendChild(style);
+  }
+  style.textContent = `
+    html {
+      filter: ${FILTER_VALUE}${settings.highContrast ? ' contrast(1.25)' : ''} !important;
+      /* The root background paints the canvas outside the filter */
+      background-color: #1a1a1a !important;
+    }
+
+    /* Invert media back so photos, video and embeds look normal */
+    [data-cyberdark-ready] {
+      filter: ${FILTER_VALUE} !important;
+    }
+    /* Media inside restored media (picture > img, object > embed) is already restored */
+    [data-cyberdark-ready] [data-cyberdark-ready] {
+      filter: none !important;
+    }
+
+    /* Fullscreen elements leave the root filter behind */
+    :fullscreen, :fullscreen * {
+      filter: none !important;
+    }
+
+    ${settings.reducedMotion ? '* { animation: none !important; transition: none !important; }' : ''}
+  `;
+
+  const generation = ++filterGeneration;
+  if (document.body) {
+    processInChunks(Array.from(document.body.querySelectorAll('*')), tagBackgroundImage, () => generation === filterGeneration);
+  }
+}
+
+// CSS background images are not media elements, so find them through computed style.
+// Only leaves that work like an image (no text, no media inside) are restored; a
+// container with a decorative background would restore its whole text subtree to light
+function tagBackgroundImage(el) {
+  if (el.hasAttribute('data-cyberdark-ready') || el.closest('[data-cyberdark-ui]')) return;
+  if (el.textContent.trim() || el.querySelector(MEDIA_READY_SELECTOR)) return;
+  const image = window.getComputedStyle(el).backgroundImage;
+  if (image && image.includes('url(')) el.setAttribute('data-cyberdark-ready', 'background');
+}
+
+function tagBackgroundImages(elements) {
+  const generation = filterGeneration;
+  processInChunks(elements, tagBackgroundImage, () => generation === filterGeneration && activeRenderingMode === 'filter');
+}
+
+function removeFilterMode() {
+  filterGeneration++;
+  const style = document.querySelector('style[data-cyberdark="filter"]');
+  if (style) style.remove();
+  document.querySelectorAll('[data-cyberdark-ready="background"]').forEach(el => el.removeAttribute('data-cyberdark-ready'));
+}
+
+// === Contrast Auditor ===
+// Walks visible text after the theme is applied, measures foreground against the
+// composited background and lifts text below the chosen WCAG level. The latest
+// report is served to the popup and to cyberdarkTest().
+const CONTRAST_THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+const MAX_AUDIT_ELEMENTS = 5000;
+const AUDIT_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'OPTION']);
+
+// Elements whose color we lifted -> the color we wrote
+const contrastFixes = new Map();
+let contrastGeneration = 0;
+let contrastTimer = null;
+// Settings the theme was last applied with (null while inactive)
+let activeSettings = null;
+
+// Short, readable selector for reports: up to four levels, stopping at an id
+function describeElement(el) {
+  const parts = [];
+  for (let node = el; node && node.nodeType === 1 && parts.length < 4; node = node.parentElement) {
+    let part = node.tagName.toLowerCase();
+    if (node.id) {
+      parts.unshift(`${part}#${CSS.escape(node.id)}`);
+      break;
+    }
+    const classes = Array.from(node.classList).slice(0, 2);
+    if (classes.length) part += '.' + classes.map(c => CSS.escape(c)).join('.');
+    parts.unshift(part);
+    if (node === document.body) break;
+  }
+  return parts.join(' > ');
+}
+
+// Parents of non-empty text nodes, in document order
+function collectTextElements(root) {
+  const elements = new Set();
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (node.nodeValue.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT)
+  });
+  while (walker.nextNode() && elements.size < MAX_AUDIT_ELEMENTS) {
+    const parent = walker.currentNode.parentElement;
+    if (parent && !AUDIT_SKIP_TAGS.has(parent.tagName)) elements.add(parent);
+  }
+  return Array.from(elements);
+}
+
+function isLargeText(computed) {
+  const size = parseFloat(computed.fontSize);
+  const weight = parseInt(computed.fontWeight, 10) || 400;
+  return size >= 24 || (size >= 18.66 && weight >= 700);
+}
+
+// Move lightness away from the background, keeping hue, until the ratio is met
+function liftForeground(fg, bg, required) {
+  const lighten = colorUtils.relativeLuminance(bg) < 0.18;
+  const lch = colorUtils.rgbToOklch(fg);
+  for (let i = 0; i < 20; i++) {
+    lch.l = lighten ? Math.min(1, lch.l + 0.05) : Math.max(0, lch.l - 0.05);
+    const rgb = colorUtils.oklchToRgb(lch);
+    if (colorUtils.contrastRatio(rgb, bg) >= required) return rgb;
+  }
+  return lighten ? { r: 255, g: 255, b: 255 } : { r: 0, g: 0, b: 0 };
+}
+
+function auditElementContrast(el, level, fix, report) {
+  if (el.closest(ignoredSelector) || el.getClientRects().length === 0) return;
+  const computed = window.getComputedStyle(el);
+  if (computed.visibility !== 'visible' || computed.opacity === '0') return;
+
+  const fill = colorUtils.parseColor(computed.webkitTextFillColor || computed.color);
+  // Transparent fill is gradient text (background-clip: text); nothing to measure
+  if (!fill || fill.a === 0) return;
+
+  const bg = effectiveBackground(el);
+  const fg = fill.a < 1 ? {
+    r: fill.r * fill.a + bg.r * (1 - fill.a),
+    g: fill.g * fill.a + bg.g * (1 - fill.a),
+    b: fill.b * fill.a + bg.b * (1 - fill.a)
+  } : fill;
+
+  const required = CONTRAST_THRESHOLDS[level][isLargeText(computed) ? 'large' : 'normal'];
+  const ratio = colorUtils.contrastRatio(fg, bg);
+  const wasFixed = contrastFixes.has(el) && el.style.getPropertyValue('color') === contrastFixes.get(el);
+  report.checked++;
+
+  if (ratio >= required) {
+    if (wasFixed) report.fixed++;
+    else report.passing++;
+    return;
+  }
+
+  report.failing++;
+  report.worst.push({
+    selector: describeElement(el),
+    ratio: Math.round(ratio * 100) / 100,
+    required,
+    text: el.textContent.trim().slice(0, 40)
+  });
+
+  if (fix) {
+    const value = colorUtils.formatColor(liftForeground(fg, bg, required));
+    setInlineOverride(el, 'color', value);
+    contrastFixes.set(el, value);
+    lastWrittenStyle.set(el, el.getAttribute('style'));
+    report.fixed++;
+  }
+}
+
+function clearContrastFixes() {
+  contrastFixes.forEach((value, el) => clearInlineOverride(el, 'color'));
+  contrastFixes.clear();
+}
+
+function createContrastReport(level) {
+  return { level, url: window.location.href, checked: 0, passing: 0, failing: 0, fixed: 0, worst: [], generatedAt: null };
+}
+
+function finishContrastReport(report) {
+  report.worst.sort((a, b) => a.ratio - b.ratio);
+  report.worst = report.worst.slice(0, 10);
+  report.generatedAt = new Date().toISOString();
+  if (config.Logger) config.Logger.info('Contrast audit', { checked: report.checked, failing: report.failing, fixed: report.fixed });
+  return report;
+}
+
+// Chunked audit for live pages; `callback` receives the finished report
+// callback(report, reason) always runs once: report is null, with a reason, when the
+// page can't be audited or a newer audit took over
+function runContrastAudit(settings, callback = () => {}) {
+  if (!colorUtils || !document.body) {
+    callback(null, 'unavailable');
+    return;
+  }
+  const level = settings.contrastFix === 'AAA' ? 'AAA' : 'AA';
+  const fix = settings.contrastFix === 'AA' || settings.contrastFix === 'AAA';
+  if (!fix) clearContrastFixes();
+
+  const report = createContrastReport(level);
+  const generation = ++contrastGeneration;
+  processInChunks(
+    collectTextElements(document.body),
+    el => auditElementContrast(el, level, fix, report),
+    () => {
+      if (generation === contrastGeneration) return true;
+      callback(null, 'superseded');
+      return false;
+    },
+    () => {
+      finishContrastReport(report);
+      callback(report);
+    }
+  );
+}
+
+// Synchronous, report-only pass for cyberdarkTest()
+function auditContrastNow(level = 'AA') {
+  if (!colorUtils || !document.body) return null;
+  const report = createContrastReport(level);
+  collectTextElements(document.body).forEach(el => auditElementContrast(el, level, false, report));
+  return finishContrastReport(report);
+}
+
+// Let late content and dynamic remapping settle before the first pass
+function scheduleContrastAudit(settings) {
+  if (contrastTimer) clearTimeout(contrastTimer);
+  contrastTimer = setTimeout(() => {
+    contrastTimer = null;
+    runContrastAudit(settings);
+  }, 1500);
+}
+
+function stopContrastAudit() {
+  contrastGeneration++;
+  if (contrastTimer) {
+    clearTimeout(contrastTimer);
+    contrastTimer = null;
+  }
+  clearContrastFixes();
+}
+
+// Apply the full theme using the selected rendering mode
+function applyCyberdark(settings) {
+  // Remove emergency dark as we apply full styles (smooth transition)
+  removeEmergencyDark(true);
+
+  // Observers are (re)attached below to the current <body>
+  releaseOrphanedObservers();
+  observedBody = document.body;
+
+  // Switching modes: drop the previous mode's styles first (same task, so nothing paints in between)
+  const mode = settings.renderingMode || 'css';
+  if (activeRenderingMode && activeRenderingMode !== mode) removeCyberdarkStyles();
+  activeRenderingMode = mode;
+
+  // Before any per-element pass, so ignored elements are never touched
+  applySiteFix(settings.siteFix);
+
+  if (mode === 'filter') {
+    // Computed colors are pre-filter here, so there is nothing meaningful to audit
+    activeSettings = null;
+    applyFilterMode(settings);
+    applyCustomCss(settings.customCss);
+    markMediaReady(document);
+    observeMedia();
+    return;
+  }
+  activeSettings = settings;
+
+  applyCyberdarkStyles(settings);
+  applyCyberdarkShadowDOM();
+
+  observeSearchFields();
+
+  // Structural overrides
+  injectStructuralDarkCSS();
+  applyCustomCss(settings.customCss);
+  document.querySelectorAll(STRUCTURAL_SELECTOR).forEach(overrideStructuralInlineStyles);
+  observeStructuralElements();
+
+  // Dynamic mode remaps what the stylesheet leaves untouched (cards, panels, sidebars):
+  // page stylesheets first, then whatever computed colors still come out light.
+  // High contrast pins every color itself, so there is nothing left to remap.
+  // Icons are judged against their final backgrounds, so they wait for that pass.
+  if (settings.renderingMode === 'dynamic' && !settings.highContrast) {
+    startSheetRewriting();
+    startDynamicColors(startIconRecoloring);
+  } else {
+    stopSheetRewriting();
+    stopDynamicColors();
+    startIconRecoloring();
+  }
+
+  // Mark media as ready for filter removal
+  markMediaReady(document);
+  if (settings.imageAnalysis !== false) startImageAnalysis();
+  else stopImageAnalysis();
+  startBackgroundTheming();
+  observeMedia();
+  startDocumentViewer(settings);
+
+  scheduleContrastAudit(settings);
+}
+
+// Extension disabled, blacklisted or outside schedule - remove everything immediately
+function disableCyberdark() {
+  removeEmergencyDark(false);
+  removeCyberdarkStyles();
+  // Disconnect media observer when disabled
+  if (mediaObserver) {
+    mediaObserver.disconnect();
+    mediaObserver = null;
+  }
+}
+
+// Apply, soften or remove the theme for freshly loaded storage values
+// What a storage result resolves to for the current URL; equal signatures render the same
+function pageStateSignature(result) {
+  return JSON.stringify(resolvePageSettings(result));
+}
+
+function updatePage(result) {
+  lastStorageResult = result;
+  renderedPageSignature = pageStateSignature(result);
+  const { shouldApply, blacklisted, settings } = resolvePageSettings(result);
+  reportSiteFix(settings.siteFix);
+  printDark = shouldApply && settings.printDark === true;
+  // Mid-print the theme stays lifted; afterprint re-applies with these settings
+  if (printSuspended) return;
+  renderPageState(shouldApply, settings);
+  applyPrintMedia();
+  // Off by schedule says nothing about the next load, so it isn't reported
+  if (blacklisted) reportFirstPaint('off');
+  else if (shouldApply) reportFirstPaint(resolveNativeDarkAction(settings) === 'apply' ? config.firstPaintVariant(settings) : 'native');
+}
+
+function renderPageState(shouldApply, settings) {
+  if (isPdfDocument) {
+    if (shouldApply) applyPdfDocument(settings);
+    else removePdfDocument();
+    return;
+  }
+  if (!shouldApply) {
+    stopColorSchemeEmulation();
+    disableCyberdark();
+    return;
+  }
+
+  // The site's own dark theme goes first; detection then decides whether to add ours
+  if (settings.emulateDarkScheme !== false && settings.renderingMode !== 'filter') startColorSchemeEmulation();
+  else stopColorSchemeEmulation();
+
+  const action = resolveNativeDarkAction(settings);
+  if (action === 'apply') {
+    removeSoftenedStyles();
+    // Analytics: Increment pages darkened (throttled)
+    // We can't write to storage directly from content script easily without permission or messaging
+    // So we'll just log it for now, or send message to background if we had one listening
+    if (config.Logger) config.Logger.info('Applying Cyberdark styles', { domain: window.location.hostname, mode: settings.renderingMode });
+    applyCyberdark(settings);
+    return;
+  }
+
+  if (config.Logger) config.Logger.info('Site has native dark mode', { action, signals: nativeDarkResult && nativeDarkResult.signals });
+  disableCyberdark();
+  if (action === 'soften') applySoftenedStyles(settings);
+  // A remembered decision needs no prompt; frames never prompt
+  if (isTopFrame && !(settings.nativeDarkSites && settings.nativeDarkSites[window.location.hostname])) {
+    showNativeDarkNotice(action);
+  }
+}
+
+// === First Paint ===
+// The background worker keeps how each site ended up (off, left to its own dark theme,
+// or themed on which background) and registers emergency.js to match, so the next
+// load's first paint is already the final one. Only the top frame speaks for its origin.
+let reportedFirstPaint = null;
+
+function reportFirstPaint(state) {
+  if (!isTopFrame || isPdfDocument || state === reportedFirstPaint) return;
+  reportedFirstPaint = state;
+  chrome.runtime.sendMessage({ type: 'reportFirstPaint', state }, () => void chrome.runtime.lastError);
+}
+
+// === Print ===
+// Our sheets are screen-only unless printDark is set, so paper and PDF exports come
+// out the way the site designed them. Each sheet gets its media when created and
+// applyPrintMedia() updates them when the setting changes. Inline overrides can't
+// carry a media query, so the theme is lifted entirely while the print dialog is open.
+const OWNED_STYLE_SELECTOR = 'style[data-cyberdark], style[data-cyberdark-structural], #cyberdark-emergency';
+let printDark = false;
+let forceLightPrint = false; // One-off light print requested from the popup
+let printSuspended = false;
+
+function ownedSheetMedia() {
+  return printDark ? 'all' : 'screen';
+}
+
+function applyPrintMedia() {
+  const media = ownedSheetMedia();
+  document.querySelectorAll(OWNED_STYLE_SELECTOR).forEach(style => {
+    if (style.media !== media) style.media = media;
+  });
+  if (shadowSheet && shadowSheet.media.mediaText !== media) shadowSheet.media.mediaText = media;
+}
+
+function onBeforePrint() {
+  if ((printDark && !forceLightPrint) || !lastStorageResult) return;
+  printSuspended = true;
+  stopColorSchemeEmulation();
+  disableCyberdark();
+}
+
+function onAfterPrint() {
+  forceLightPrint = false;
+  if (!printSuspended) return;
+  printSuspended = false;
+  updatePage(lastStorageResult);
+}
+
+window.addEventListener('beforeprint', onBeforePrint);
+window.addEventListener('afterprint', onAfterPrint);
+
+// === In-Page Navigation ===
+// Blacklist, overrides, schedules and site fixes can target paths, but single-page apps
+// change routes without loading a new document. Route changes come from the Navigation
+// API where available, history.pushState/replaceState otherwise (reported by
+// page-hooks.js), plus popstate and hashchange; a burst of them re-resolves the page
+// against the new URL once, and the page is only re-applied when that changes what it
+// resolves to. The current theme stays up meanwhile, so nothing flashes.
+const ROUTE_EVENT = 'cyberdark:routechange';
+// Redirects and replaceState bookkeeping fire several changes per navigation
+const ROUTE_DEBOUNCE_MS = 150;
+// Routers often render the new view after updating the URL; look again once it has settled
+const ROUTE_SETTLE_MS = 300;
+let resolvedUrl = window.location.href;
+let routeChangeTimer = null;
+let routeSettleTimer = null;
+// The <body> our MutationObservers watch; apps that swap it (Turbo, pjax) orphan them
+let observedBody = null;
+
+// Drops observers left on a replaced <body> so the next apply attaches fresh ones
+function releaseOrphanedObservers() {
+  if (!observedBody || document.body === observedBody) return false;
+  [structuralObserver, searchObserver, dynamicObserver, mediaObserver].forEach(observer => {
+    if (observer) observer.disconnect();
+  });
+  structuralObserver = searchObserver = dynamicObserver = mediaObserver = null;
+  observedBody = null;
+  return true;
+}
+
+function onRouteSettled() {
+  routeSettleTimer = null;
+  if (!activeRenderingMode) return;
+  pruneStructuralOverrides();
+  if (releaseOrphanedObservers() && lastStorageResult) updatePage(lastStorageResult);
+}
+
+function onRouteChanged() {
+  routeChangeTimer = null;
+  loadPageState((result) => {
+    if (pageStateSignature(result) !== renderedPageSignature) {
+      updatePage(result);
+    } else {
+      lastStorageResult = result;
+    }
+  });
+}
+
+function onUrlChange(e) {
+  const url = window.location.href;
+  if (url === resolvedUrl) return;
+  if (config.Logger) config.Logger.info('Route change', { from: resolvedUrl, to: url, via: e.type });
+  resolvedUrl = url;
+  if (!lastStorageResult) return;
+
+  clearTimeout(routeChangeTimer);
+  routeChangeTimer = setTimeout(onRouteChanged, ROUTE_DEBOUNCE_MS);
+  clearTimeout(routeSettleTimer);
+  routeSettleTimer = setTimeout(onRouteSettled, ROUTE_SETTLE_MS);
+}
+
+if (typeof navigation !== 'undefined') navigation.addEventListener('currententrychange', onUrlChange);
+window.addEventListener(ROUTE_EVENT, onUrlChange);
+window.addEventListener('popstate', onUrlChange);
+window.addEventListener('hashchange', onUrlChange);
+
+// Top frame reads storage directly; sub-frames ask the background worker so that
+// blacklist and per-site rules are evaluated against the tab's top-level site
+function loadPageState(callback) {
+  if (isTopFrame) {
+    const keys = ['cyberdarkEnabled', 'cyberdarkSettings'];
+    if (config.customCssKey) keys.push(config.customCssKey(window.location.hostname));
+    // User site fixes are in local storage; merge them into the sync result
+    chrome.storage.local.get([USER_FIXES_KEY], (local) => {
+      chrome.storage.sync.get(keys, (result) => callback(Object.assign(result, local)));
+    });
+    return;
+  }
+  chrome.runtime.sendMessage({ type: 'getFrameSettings' }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.resolved) {
+      if (config.Logger) config.Logger.debug('Frame settings unavailable', chrome.runtime.lastError);
+      return;
+    }
+    callback(response);
+  });
+}
+
+// Listen for settings and apply styles
+function loadAndApplyCyberdark() {
+  try {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
+      loadPageState(updatePage);
 
       // Register storage change listener ONCE (guard prevents memory leak)
       if (!storageListenerRegistered) {
         storageListenerRegistered = true;
         chrome.storage.onChanged.addListener((changes, area) => {
-          if (area === 'sync' && (changes.cyberdarkSettings || changes.cyberdarkEnabled)) {
-            chrome.storage.sync.get(['cyberdarkEnabled', 'cyberdarkSettings'], (res) => {
-              const enabled = res.cyberdarkEnabled === true;
-              const settings = Object.assign({}, cyberdarkDefaults, res.cyberdarkSettings || {});
-              const domain = window.location.hostname;
-              const overrides = (settings.perSiteOverrides && settings.perSiteOverrides[domain]) || {};
-              const finalSettings = Object.assign({}, settings, overrides);
-              const blacklisted = config.isBlacklisted(domain, finalSettings.blacklist);
-              if (enabled && !blacklisted) {
-                // Remove any lingering emergency dark
-                removeEmergencyDark(true);
-                applyCyberdarkStyles(finalSettings);
-                applyCyberdarkIframes();
-                applyCyberdarkShadowDOM();
-                injectStructuralDarkCSS();
-                observeStructuralElements();
-              } else {
-                // Extension toggled off - remove emergency dark immediately
-                removeEmergencyDark(false);
-                removeCyberdarkStyles();
-                // Disconnect media observer when disabled
-                if (mediaObserver) {
-                  mediaObserver.disconnect();
-                  mediaObserver = null;
-                }
-              }
-            });
+          if (area === 'sync' && (changes.cyberdarkSettings || changes.cyberdarkEnabled || Object.keys(changes).some(isCustomCssKey))) {
+            loadPageState(updatePage);
           }
+          if (area === 'local' && changes[USER_FIXES_KEY]) loadPageState(updatePage);
         });
+
+        // Popup's "Print in light": every frame lifts its theme, the top frame opens the dialog
+        chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+          if (request.type !== 'printLight') return false;
+          forceLightPrint = true;
+          if (!isTopFrame) return false;
+          sendResponse({ printing: true });
+          // print() blocks until the dialog closes; answer the popup first
+          setTimeout(() => window.print(), 0);
+          return false;
+        });
+
+        // Popup lists the site fixes that matched this page and starts the element picker
+        if (isTopFrame) {
+          chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+            if (request.type === 'getSiteFixes') {
+              sendResponse({ matched: lastSiteFix ? lastSiteFix.matched : [] });
+            } else if (request.type === 'startPicker') {
+              startPicker();
+              sendResponse({ started: !!pickerPanel });
+            }
+            return false;
+          });
+        }
+
+        // Popup asks the top frame for a fresh contrast report
+        if (isTopFrame) {
+          chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+            if (request.type !== 'getContrastReport') return false;
+            if (!activeSettings) {
+              sendResponse({ report: null, reason: activeRenderingMode === 'filter' ? 'filter' : 'inactive' });
+              return false;
+            }
+            runContrastAudit(activeSettings, (report, reason) => sendResponse({ report, reason }));
+            return true;
+          });
+        }
       }
     } else {
       // Fallback: Do NOTHING if storage is unavailable. Strict disabled logic.
@@ -669,15 +3544,16 @@ function loadAndApplyCyberdark() {
   } catch (err) {
     if (config.Logger) config.Logger.error('Failed to apply styles', err);
   }
-  // Expose a test utility for E2E/manual checks
-  window.cyberdarkTest = () => {
+  // Expose a test utility for E2E/manual checks; `level` is 'AA' or 'AAA'
+  window.cyberdarkTest = (level = 'AA') => {
+    const contrast = auditContrastNow(level === 'AAA' ? 'AAA' : 'AA');
     return {
       mainStyle: !!document.head.querySelector('style[data-cyberdark="main"]'),
       focusOutline: getComputedStyle(document.body).outlineColor,
       prefersReducedMotion: window.matchMedia('(prefers-reduced-motion: reduce)').matches,
       allLinksVisible: Array.from(document.querySelectorAll('a')).every(a => getComputedStyle(a).color !== 'rgba(0, 0, 0, 0)'),
-      modalContrast: Array.from(document.querySelectorAll('.modal,.popup,.dialog,.overlay,[role="dialog"],[role="tooltip"]')).every(e => getComputedStyle(e).color === 'rgb(255, 255, 255)'),
-      svgNeon: Array.from(document.querySelectorAll('svg text')).every(t => getComputedStyle(t).fill === 'rgb(0, 255, 247)'),
+      allTextReadable: !!contrast && contrast.failing === 0,
+      contrast
     };
   };
 }
@@ -686,10 +3562,10 @@ function loadAndApplyCyberdark() {
 (async function initCyberdark() {
   try {
     // Fast path: query background worker cache (~0ms vs 20-100ms storage)
-    // Include hostname for blacklist check
+    // Include URL for blacklist and site-fix checks
     const response = await chrome.runtime.sendMessage({
       type: 'getEnabledState',
-      hostname: window.location.hostname
+      url: window.location.href
     });
 
     if (response?.enabled === false || response?.blacklisted === true) {
@@ -881,8 +3757,8 @@ class ResourceMonitor {
 
 const resourceMonitor = new ResourceMonitor();
 
-// Initialize with settings
-if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
+// Initialize with settings (one monitor per tab, in the top frame)
+if (isTopFrame && typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
   chrome.storage.sync.get(['cyberdarkSettings'], (result) => {
     // Default to true if setting is missing (security by default)
     const settings = result.cyberdarkSettings || {};
@@ -913,11 +3789,31 @@ if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
 if (typeof module !== 'undefined') {
   module.exports = {
     applyCyberdarkStyles,
-    applyCyberdarkIframes,
     applyCyberdarkShadowDOM,
+    removeCyberdarkShadowDOM,
     injectStructuralDarkCSS,
     overrideStructuralInlineStyles,
     removeCyberdarkStyles,
+    startDynamicColors,
+    stopDynamicColors,
+    rewriteStyleSheets,
+    startSheetRewriting,
+    stopSheetRewriting,
+    startColorSchemeEmulation,
+    stopColorSchemeEmulation,
+    applyFilterMode,
+    removeFilterMode,
+    markMediaReady,
+    startBackgroundTheming,
+    stopBackgroundTheming,
+    startIconRecoloring,
+    stopIconRecoloring,
+    resolvePageSettings,
+    detectNativeDarkMode,
+    hasNativeDarkMode,
+    applyCyberdark,
+    runContrastAudit,
+    auditContrastNow,
     loadAndApplyCyberdark,
     cyberdarkDefaults,
     ResourceMonitor,
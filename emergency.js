@@ -0,0 +1,90 @@
+// emergency.js - Emergency dark mode for Cyberdark
+// Prevents flashbang by applying dark background BEFORE async storage loads
+// Paints the background the page will have once themed, so the first paint is the final one
+// Registered by the background worker (syncEmergencyScript) only where Cyberdark will run;
+// content.js removes it once settings are known
+
+(function injectEmergencyDark() {
+  'use strict';
+
+  // High-contrast sites get a variant script ahead of this one (first-paint-contrast.js)
+  const background = typeof cyberdarkFirstPaint === 'string' ? cyberdarkFirstPaint : '#1a1a1a';
+
+  // Skip PDFs - the viewer <embed> gets its own filter once settings load (see PDF Documents in content.js)
+  if (window.location.pathname.endsWith('.pdf') ||
+      document.contentType === 'application/pdf') {
+    return;
+  }
+
+  // Inject color-scheme meta tag for browser hint
+  const meta = document.createElement('meta');
+  meta.name = 'color-scheme';
+  meta.content = 'dark only';
+  meta.setAttribute('data-cyberdark', 'emergency');
+  (document.head || document.documentElement).appendChild(meta);
+
+  // Create emergency stylesheet
+  const emergency = document.createElement('style');
+  emergency.id = 'cyberdark-emergency';
+  emergency.media = 'screen'; // Settings aren't loaded yet; printDark is off by default
+  emergency.textContent = `
+    /* Emergency dark - maximum protection */
+    html {
+      background-color: ${background} !important;
+      color-scheme: dark !important;
+    }
+
+    /* Overlay to catch any white flashes */
+    html::before {
+      content: '';
+      position: fixed;
+      inset: 0;
+      background: ${background};
+      z-index: 2147483646;
+      pointer-events: none;
+    }
+
+    /* Force dark on common white patterns */
+    body, main, article, section, div, header, footer, nav, aside {
+      background-color: ${background} !important;
+    }
+
+    /* Skeleton loaders and loading states */
+    [class*="skeleton"], [class*="loading"], [class*="placeholder"],
+    [class*="shimmer"], [class*="pulse"] {
+      background-color: #1a1a1a !important;
+      animation: none !important;
+    }
+
+    /* Modal backdrops */
+    [class*="modal"], [class*="overlay"], [class*="backdrop"],
+    [role="dialog"], [role="alertdialog"] {
+      background-color: rgba(0,0,0,0.9) !important;
+    }
+
+    /* Cross-origin iframe coverage */
+    iframe {
+      background-color: ${background} !important;
+      border-color: #333 !important;
+    }
+
+    /* Canvas/video protection until content loads */
+    canvas:not([data-cyberdark-ready]),
+    video:not([data-cyberdark-ready]) {
+      filter: brightness(0.1);
+      transition: filter 0.3s ease;
+    }
+    canvas[data-cyberdark-ready],
+    video[data-cyberdark-ready] {
+      filter: none;
+    }
+
+    /* Text color for readability during emergency phase */
+    html, body {
+      color: #e0e0e0 !important;
+    }
+  `;
+
+  // Inject into documentElement (head doesn't exist yet at document_start)
+  (document.head || document.documentElement).appendChild(emergency);
+})();
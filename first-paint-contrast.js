@@ -0,0 +1,3 @@
+// first-paint-contrast.js - First-paint variant for high-contrast sites
+// Registered ahead of emergency.js by the background worker; matches HIGH_CONTRAST_BG in content.js
+var cyberdarkFirstPaint = '#000000';
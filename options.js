@@ -4,17 +4,30 @@ const validate = typeof CyberdarkValidate !== 'undefined' ? CyberdarkValidate :
 // Use global config if available
 const config = typeof CyberdarkConfig !== 'undefined' ? CyberdarkConfig : {
   DEFAULT_SETTINGS: {
+    settingsVersion: 2,
     color1: '#00ffff',
     color2: '#00ff00',
     color3: '#ff00ff',
     color4: '#ff0000',
     textShadow: true,
-    highContrast: true,
+    textShadowIntensity: 'medium',
+    highContrast: false,
     focusOutline: true,
     reducedMotion: false,
     fontSize: 16,
     lineHeight: 1.5,
+    fontFamily: '',
+    fontTarget: 'none',
+    contrastFix: 'AA',
+    searchStyle: 'gradient',
+    imageAnalysis: true,
+    codeTheme: 'palette',
+    printDark: false,
+    textViewer: true,
+    pdfTreatment: 'invert',
     colorBlindMode: false,
+    siteMode: 'everywhere',
+    allowlist: [],
     blacklist: [],
     perSiteOverrides: {}
   },
@@ -57,19 +70,35 @@ function saveSettings(e) {
   const rawColor3 = data.get('color3');
   const rawColor4 = data.get('color4');
 
-  let settings = {
+  const formSettings = {
     color1: validate ? validate.sanitizeHexColor(rawColor1, defaultSettings.color1) : (isHexColor(rawColor1) ? rawColor1 : defaultSettings.color1),
     color2: validate ? validate.sanitizeHexColor(rawColor2, defaultSettings.color2) : (isHexColor(rawColor2) ? rawColor2 : defaultSettings.color2),
     color3: validate ? validate.sanitizeHexColor(rawColor3, defaultSettings.color3) : (isHexColor(rawColor3) ? rawColor3 : defaultSettings.color3),
     color4: validate ? validate.sanitizeHexColor(rawColor4, defaultSettings.color4) : (isHexColor(rawColor4) ? rawColor4 : defaultSettings.color4),
     textShadow: !!data.get('textShadow'),
+    textShadowIntensity: validate ? validate.sanitizeTextShadowIntensity(data.get('textShadowIntensity')) : data.get('textShadowIntensity'),
     highContrast: !!data.get('highContrast'),
     focusOutline: !!data.get('focusOutline'),
     reducedMotion: !!data.get('reducedMotion'),
+    imageAnalysis: !!data.get('imageAnalysis'),
+    printDark: !!data.get('printDark'),
+    textViewer: !!data.get('textViewer'),
     fontSize: validate ? validate.sanitizeFontSize(data.get('fontSize')) : parseInt(data.get('fontSize'), 10),
     lineHeight: validate ? validate.sanitizeLineHeight(data.get('lineHeight')) : parseFloat(data.get('lineHeight')),
+    fontFamily: validate ? validate.sanitizeFontFamily(data.get('fontFamily')) : '',
+    fontTarget: validate ? validate.sanitizeFontTarget(data.get('fontTarget')) : data.get('fontTarget'),
     colorBlindMode: validate ? validate.sanitizeColorBlindMode(data.get('colorBlindMode')) : data.get('colorBlindMode'),
-    blacklist: validate ? validate.sanitizeDomainList(data.get('blacklist') || '') : (data.get('blacklist') || '').toString().split(/\r?\n/).map(s => s.trim()).filter(Boolean),
+    renderingMode: validate ? validate.sanitizeRenderingMode(data.get('renderingMode')) : data.get('renderingMode'),
+    contrastFix: validate ? validate.sanitizeContrastFix(data.get('contrastFix')) : data.get('contrastFix'),
+    searchStyle: validate ? validate.sanitizeSearchStyle(data.get('searchStyle')) : data.get('searchStyle'),
+    codeTheme: validate ? validate.sanitizeCodeTheme(data.get('codeTheme')) : data.get('codeTheme'),
+    pdfTreatment: validate ? validate.sanitizePdfTreatment(data.get('pdfTreatment')) : data.get('pdfTreatment'),
+    nativeDarkMode: validate ? validate.sanitizeNativeDarkMode(data.get('nativeDarkMode')) : data.get('nativeDarkMode'),
+    emulateDarkScheme: !!data.get('emulateDarkScheme'),
+    frameOriginRules: !!data.get('frameOriginRules'),
+    siteMode: validate ? validate.sanitizeSiteMode(data.get('siteMode')) : data.get('siteMode'),
+    allowlist: validate ? validate.sanitizeUrlPatternList(data.get('allowlist') || '') : (data.get('allowlist') || '').toString().split(/\r?\n/).map(s => s.trim()).filter(Boolean),
+    blacklist: validate ? validate.sanitizeUrlPatternList(data.get('blacklist') || '') : (data.get('blacklist') || '').toString().split(/\r?\n/).map(s => s.trim()).filter(Boolean),
     perSiteOverrides: parsePerSiteOverrides(data.get('perSiteOverrides')),
     schedule: {
       enabled: !!data.get('scheduleEnabled'),
@@ -79,21 +108,52 @@ function saveSettings(e) {
     debugMode: !!data.get('debugMode')
   };
 
-  // Use full validation if available
-  if (validate) {
-    settings = validate.validateSettingsObject(settings, defaultSettings);
-  }
+  storeSettings(formSettings);
+}
 
-  // SECURITY: Check storage quota before saving
-  if (validate && !validate.fitsInSyncQuota(settings)) {
-    document.getElementById('status').textContent = 'Settings too large! Reduce blacklist or overrides.';
-    setTimeout(() => document.getElementById('status').textContent = '', 3000);
-    return;
-  }
+function showSaveStatus(message, duration) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  setTimeout(() => status.textContent = '', duration);
+}
+
+// Every write of cyberdarkSettings from this page: merged over what's stored,
+// validated, quota-checked, and failures reported
+function storeSettings(changes, message = 'Settings saved!', onSaved) {
+  chrome.storage.sync.get(['cyberdarkSettings'], (result) => {
+    // Keep settings this form doesn't manage (e.g. values saved from the popup or content script)
+    let settings = Object.assign({}, defaultSettings, result.cyberdarkSettings || {}, changes);
+
+    // Use full validation if available
+    if (validate) {
+      settings = validate.validateSettingsObject(settings, defaultSettings);
+    }
+
+    // SECURITY: Check storage quota before saving
+    if (validate && !validate.fitsInSyncQuota(settings)) {
+      showSaveStatus('Settings too large! Reduce blacklist or overrides.', 3000);
+      return;
+    }
+
+    chrome.storage.sync.set({ cyberdarkSettings: settings }, () => {
+      if (chrome.runtime.lastError) {
+        showSaveStatus(`Saving failed: ${chrome.runtime.lastError.message}`, 3000);
+        return;
+      }
+      showSaveStatus(message, 1200);
+      if (onSaved) onSaved();
+    });
+  });
+}
 
-  chrome.storage.sync.set({ cyberdarkSettings: settings }, () => {
-    document.getElementById('status').textContent = 'Settings saved!';
-    setTimeout(() => document.getElementById('status').textContent = '', 1200);
+// One-time message left by the background worker's settings migration
+function showMigrationNotice() {
+  const key = config.MIGRATION_NOTICE_KEY;
+  if (!key) return;
+  chrome.storage.local.get([key], (result) => {
+    if (!result[key]) return;
+    showSaveStatus(result[key], 10000);
+    chrome.storage.local.remove(key);
   });
 }
 
@@ -105,20 +165,37 @@ function restoreSettings() {
     document.querySelector('input[name="color3"]').value = settings.color3;
     document.querySelector('input[name="color4"]').value = settings.color4;
     document.querySelector('input[name="textShadow"]').checked = settings.textShadow;
+    document.querySelector('select[name="textShadowIntensity"]').value = settings.textShadowIntensity || 'medium';
     document.querySelector('input[name="highContrast"]').checked = settings.highContrast;
     document.querySelector('input[name="focusOutline"]').checked = settings.focusOutline;
     document.querySelector('input[name="reducedMotion"]').checked = settings.reducedMotion;
+    document.querySelector('input[name="imageAnalysis"]').checked = settings.imageAnalysis !== false;
+    document.querySelector('input[name="printDark"]').checked = !!settings.printDark;
+    document.querySelector('input[name="textViewer"]').checked = settings.textViewer !== false;
     document.querySelector('input[name="fontSize"]').value = settings.fontSize;
     document.getElementById('fontSizeValue').textContent = settings.fontSize + 'px';
     document.querySelector('input[name="lineHeight"]').value = settings.lineHeight;
     document.getElementById('lineHeightValue').textContent = settings.lineHeight;
+    document.querySelector('input[name="fontFamily"]').value = settings.fontFamily || '';
+    document.querySelector('select[name="fontTarget"]').value = settings.fontTarget || 'none';
 
     // Handle legacy boolean or new string
     let cbMode = settings.colorBlindMode;
     if (cbMode === true) cbMode = 'protanopia'; // Default legacy mapping
     if (cbMode === false) cbMode = 'none';
     document.querySelector('select[name="colorBlindMode"]').value = cbMode || 'none';
-
+    document.querySelector('select[name="renderingMode"]').value = settings.renderingMode || 'css';
+    document.querySelector('select[name="contrastFix"]').value = settings.contrastFix || 'AA';
+    document.querySelector('select[name="searchStyle"]').value = settings.searchStyle || 'gradient';
+    document.querySelector('select[name="codeTheme"]').value = settings.codeTheme || 'palette';
+    document.querySelector('select[name="pdfTreatment"]').value = settings.pdfTreatment || 'invert';
+    document.querySelector('select[name="nativeDarkMode"]').value = settings.nativeDarkMode || 'soften';
+    document.querySelector('input[name="emulateDarkScheme"]').checked = settings.emulateDarkScheme !== false;
+    document.querySelector('input[name="frameOriginRules"]').checked = !!settings.frameOriginRules;
+    document.getElementById('nativeDarkSitesCount').textContent = Object.keys(settings.nativeDarkSites || {}).length;
+
+    document.querySelector('select[name="siteMode"]').value = settings.siteMode || 'everywhere';
+    document.querySelector('textarea[name="allowlist"]').value = (settings.allowlist || []).join('\n');
     document.querySelector('textarea[name="blacklist"]').value = (settings.blacklist || []).join('\n');
     document.querySelector('textarea[name="perSiteOverrides"]').value = JSON.stringify(settings.perSiteOverrides, null, 2);
 
@@ -134,6 +211,21 @@ function restoreSettings() {
     document.getElementById('analyticsPages').textContent = analytics.pagesDarkened;
 
     updateLivePreview();
+    updateFirstPaintHints();
+  });
+}
+
+// The early dark background is registered from these lists before a page's settings load;
+// rules match patterns can't express only take effect once the page has loaded them
+function updateFirstPaintHints() {
+  if (!config.toMatchPatterns) return;
+  ['allowlist', 'blacklist'].forEach(name => {
+    const raw = document.querySelector(`textarea[name="${name}"]`).value;
+    const rules = validate ? validate.sanitizeUrlPatternList(raw) : raw.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+    const unusable = rules.filter(rule => !config.toMatchPatterns(rule).length);
+    document.getElementById(`${name}FirstPaint`).textContent = unusable.length
+      ? `Not used for the first paint (paths, /regex/ and mid-name wildcards can't be), so these pages may flash before settings load: ${unusable.join(', ')}`
+      : '';
   });
 }
 
@@ -147,18 +239,194 @@ function updateLivePreview() {
   if (preview) {
     preview.style.fontSize = size + 'px';
     preview.style.lineHeight = lh;
+    const family = validate ? validate.sanitizeFontFamily(data.get('fontFamily')) : '';
+    const target = data.get('fontTarget');
+    preview.style.fontFamily = family && (target === 'body' || target === 'both') ? family : '';
     if (cb) preview.classList.add('color-blind'); else preview.classList.remove('color-blind');
   }
   document.getElementById('fontSizeValue').textContent = size + 'px';
   document.getElementById('lineHeightValue').textContent = lh;
 }
 
+// === Per-site Custom CSS ===
+const CUSTOM_CSS_PREFIX = config.CUSTOM_CSS_PREFIX || 'cyberdarkCss:';
+
+function checkCustomCss(css) {
+  return validate ? validate.validateCustomCss(css) : { css: css.trim(), errors: [] };
+}
+
+function showCustomCssStatus(message, isError) {
+  const status = document.getElementById('customCssStatus');
+  status.textContent = message;
+  status.classList.toggle('error', !!isError);
+}
+
+// Preview is scoped to the sample box so a stray rule can't restyle this page
+function updateCustomCssPreview() {
+  const { css, errors } = checkCustomCss(document.getElementById('customCss').value);
+  let style = document.getElementById('customCssPreviewStyle');
+  if (!style) {
+    style = document.createElement('style');
+    style.id = 'customCssPreviewStyle';
+    document.head.appendChild(style);
+  }
+  if (errors.length) {
+    showCustomCssStatus(errors.join('; '), true);
+    return;
+  }
+  style.textContent = css ? `@scope (#customCssPreview) {\n${css}\n}` : '';
+  showCustomCssStatus(css ? `${new TextEncoder().encode(css).length} bytes` : '', false);
+}
+
+function refreshCustomCssHosts() {
+  chrome.storage.sync.get(null, (items) => {
+    const list = document.getElementById('customCssHosts');
+    list.textContent = '';
+    Object.keys(items || {})
+      .filter(key => key.startsWith(CUSTOM_CSS_PREFIX))
+      .forEach(key => {
+        const option = document.createElement('option');
+        option.value = key.slice(CUSTOM_CSS_PREFIX.length);
+        list.appendChild(option);
+      });
+  });
+}
+
+function customCssHost() {
+  const raw = document.getElementById('customCssHost').value;
+  return validate ? validate.sanitizeDomain(raw) : raw.trim().toLowerCase() || null;
+}
+
+function loadCustomCss() {
+  const host = customCssHost();
+  if (!host) return;
+  const key = CUSTOM_CSS_PREFIX + host;
+  chrome.storage.sync.get([key], (result) => {
+    document.getElementById('customCss').value = result[key] || '';
+    updateCustomCssPreview();
+  });
+}
+
+function saveCustomCss() {
+  const host = customCssHost();
+  if (!host) {
+    showCustomCssStatus('Enter a valid hostname', true);
+    return;
+  }
+  const { css, errors } = checkCustomCss(document.getElementById('customCss').value);
+  if (errors.length) {
+    showCustomCssStatus(errors.join('; '), true);
+    return;
+  }
+  if (!css) {
+    deleteCustomCss();
+    return;
+  }
+  chrome.storage.sync.set({ [CUSTOM_CSS_PREFIX + host]: css }, () => {
+    if (chrome.runtime.lastError) {
+      showCustomCssStatus('Save failed: ' + chrome.runtime.lastError.message, true);
+      return;
+    }
+    showCustomCssStatus(`Saved CSS for ${host}`, false);
+    refreshCustomCssHosts();
+  });
+}
+
+function deleteCustomCss() {
+  const host = customCssHost();
+  if (!host) return;
+  chrome.storage.sync.remove(CUSTOM_CSS_PREFIX + host, () => {
+    document.getElementById('customCss').value = '';
+    updateCustomCssPreview();
+    showCustomCssStatus(`Removed CSS for ${host}`, false);
+    refreshCustomCssHosts();
+  });
+}
+
+// === Site Fixes ===
+const siteFixes = typeof CyberdarkSiteFixes !== 'undefined' ? CyberdarkSiteFixes : null;
+const MAX_REPORTED_FIX_ERRORS = 10;
+
+function showSiteFixStatus(message, isError) {
+  const status = document.getElementById('siteFixStatus');
+  status.textContent = message;
+  status.classList.toggle('error', !!isError);
+}
+
+function renderSiteFixFiles(files) {
+  const list = document.getElementById('siteFixFileList');
+  list.textContent = '';
+  files.forEach(file => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = `${file.name} (${file.fixes.length} fixes)`;
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => removeSiteFixFile(file.name));
+    item.append(label, remove);
+    list.appendChild(item);
+  });
+}
+
+function loadSiteFixFiles() {
+  chrome.storage.local.get([siteFixes.USER_FIXES_KEY], (result) => {
+    renderSiteFixFiles(result[siteFixes.USER_FIXES_KEY] || []);
+  });
+}
+
+async function readSiteFixFile(file) {
+  try {
+    const { fixes, errors } = siteFixes.validateFixList(JSON.parse(await file.text()));
+    return { name: file.name, fixes, errors };
+  } catch (err) {
+    return { name: file.name, fixes: [], errors: ['Not valid JSON'] };
+  }
+}
+
+// A file with the same name replaces the stored one; later files take precedence
+async function importSiteFixFiles(e) {
+  const results = await Promise.all(Array.from(e.target.files).map(readSiteFixFile));
+  e.target.value = '';
+  const loaded = results.filter(result => result.fixes.length);
+
+  chrome.storage.local.get([siteFixes.USER_FIXES_KEY], (stored) => {
+    const kept = (stored[siteFixes.USER_FIXES_KEY] || []).filter(file => !loaded.some(result => result.name === file.name));
+    const files = kept.concat(loaded.map(({ name, fixes }) => ({ name, fixes })));
+    chrome.storage.local.set({ [siteFixes.USER_FIXES_KEY]: files }, () => {
+      if (chrome.runtime.lastError) {
+        showSiteFixStatus('Save failed: ' + chrome.runtime.lastError.message, true);
+        return;
+      }
+      renderSiteFixFiles(files);
+      const lines = [];
+      results.forEach(result => {
+        lines.push(`${result.name}: ${result.fixes.length} fixes loaded`);
+        result.errors.slice(0, MAX_REPORTED_FIX_ERRORS).forEach(error => lines.push(`  ${error}`));
+        if (result.errors.length > MAX_REPORTED_FIX_ERRORS) lines.push(`  ...and ${result.errors.length - MAX_REPORTED_FIX_ERRORS} more`);
+      });
+      showSiteFixStatus(lines.join('\n'), results.some(result => result.errors.length));
+    });
+  });
+}
+
+function removeSiteFixFile(name) {
+  chrome.storage.local.get([siteFixes.USER_FIXES_KEY], (stored) => {
+    const files = (stored[siteFixes.USER_FIXES_KEY] || []).filter(file => file.name !== name);
+    chrome.storage.local.set({ [siteFixes.USER_FIXES_KEY]: files }, () => {
+      renderSiteFixFiles(files);
+      showSiteFixStatus(`Removed ${name}`, false);
+    });
+  });
+}
+
 // Attach event listeners after DOM loads to avoid null refs
 document.addEventListener('DOMContentLoaded', () => {
   const form = document.getElementById('settings-form');
   if (form) {
     form.addEventListener('submit', saveSettings);
     form.addEventListener('input', updateLivePreview);
+    form.addEventListener('input', updateFirstPaintHints);
   }
   const resetBtn = document.getElementById('reset');
   if (resetBtn) {
@@ -167,6 +435,14 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Forget "apply anyway" / "always skip here" answers from the in-page notice
+  const clearNativeDarkBtn = document.getElementById('clearNativeDarkSites');
+  if (clearNativeDarkBtn) {
+    clearNativeDarkBtn.addEventListener('click', () => {
+      storeSettings({ nativeDarkSites: {} }, 'Decisions forgotten', restoreSettings);
+    });
+  }
+
   // Preset Buttons
   document.querySelectorAll('.preset-btn').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -180,8 +456,14 @@ document.addEventListener('DOMContentLoaded', () => {
         if (preset.color4) document.querySelector('input[name="color4"]').value = preset.color4;
 
         if (typeof preset.textShadow !== 'undefined') document.querySelector('input[name="textShadow"]').checked = preset.textShadow;
+        if (preset.textShadowIntensity) document.querySelector('select[name="textShadowIntensity"]').value = preset.textShadowIntensity;
         if (typeof preset.highContrast !== 'undefined') document.querySelector('input[name="highContrast"]').checked = preset.highContrast;
         if (typeof preset.reducedMotion !== 'undefined') document.querySelector('input[name="reducedMotion"]').checked = preset.reducedMotion;
+        if (preset.fontSize) document.querySelector('input[name="fontSize"]').value = preset.fontSize;
+        // Presets without a font go back to the site's own
+        document.querySelector('input[name="fontFamily"]').value = preset.fontFamily || '';
+        document.querySelector('select[name="fontTarget"]').value = preset.fontTarget || 'none';
+        if (preset.codeTheme) document.querySelector('select[name="codeTheme"]').value = preset.codeTheme;
 
         // Update preview immediately
         updateLivePreview();
@@ -195,6 +477,25 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
 
+  // Custom CSS editor
+  const customCssInput = document.getElementById('customCss');
+  if (customCssInput) {
+    customCssInput.addEventListener('input', updateCustomCssPreview);
+    document.getElementById('customCssHost').addEventListener('change', loadCustomCss);
+    document.getElementById('saveCustomCss').addEventListener('click', saveCustomCss);
+    document.getElementById('deleteCustomCss').addEventListener('click', deleteCustomCss);
+    refreshCustomCssHosts();
+  }
+
+  // Site fix files
+  const siteFixInput = document.getElementById('siteFixFiles');
+  if (siteFixInput && siteFixes) {
+    document.getElementById('bundledFixCount').textContent =
+      `${siteFixes.BUNDLED_FIXES.length} bundled fixes. Your files apply after them and take precedence.`;
+    siteFixInput.addEventListener('change', importSiteFixFiles);
+    loadSiteFixFiles();
+  }
+
   // Log Viewer
   const viewLogsBtn = document.getElementById('viewLogsBtn');
   const logViewer = document.getElementById('logViewer');
@@ -207,6 +508,7 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   restoreSettings();
+  showMigrationNotice();
 });
 
 // Export/Import functionality
@@ -257,7 +559,8 @@ if (importBtn && importFile) {
             setTimeout(() => status.textContent = '', 3000);
             return;
           }
-          settings = verified;
+          settings = config.migrateSettings ? config.migrateSettings(verified) : verified;
+          if (settings.highContrast !== verified.highContrast) showSaveStatus(config.HIGH_CONTRAST_NOTICE, 8000);
 
           // Validate all settings
           settings = validate.validateSettingsObject(settings, defaultSettings);
@@ -0,0 +1,61 @@
+// page-hooks.js - Runs in the page's own JavaScript world (not the isolated content script world)
+// Reports shadow roots as they are created so content.js can theme them, including closed ones,
+// and history.pushState/replaceState route changes, which fire no event of their own
+// Registered by the background worker (buildPageHooksScripts) only where Cyberdark may theme
+
+(function () {
+    'use strict';
+
+    const SHADOW_EVENT = 'cyberdark:shadowroot';
+    const descriptor = Object.getOwnPropertyDescriptor(Element.prototype, 'attachShadow');
+    if (!descriptor || typeof descriptor.value !== 'function') return;
+
+    const originalAttachShadow = descriptor.value;
+
+    // Same name and arity as the native method; the event is composed so it also
+    // escapes enclosing shadow roots and reaches the document when the host is connected
+    const wrapped = {
+        attachShadow(init) {
+            const root = originalAttachShadow.call(this, init);
+            try {
+                this.dispatchEvent(new CustomEvent(SHADOW_EVENT, { bubbles: true, composed: true }));
+            } catch (_) {
+                // Never break the page's own component code
+            }
+            return root;
+        }
+    };
+
+    Object.defineProperty(Element.prototype, 'attachShadow', Object.assign({}, descriptor, { value: wrapped.attachShadow }));
+})();
+
+(function () {
+    'use strict';
+
+    // The Navigation API reports these to content.js directly; only older browsers need the hooks
+    if (typeof navigation !== 'undefined') return;
+
+    const ROUTE_EVENT = 'cyberdark:routechange';
+
+    ['pushState', 'replaceState'].forEach(name => {
+        const descriptor = Object.getOwnPropertyDescriptor(History.prototype, name);
+        if (!descriptor || typeof descriptor.value !== 'function') return;
+        const original = descriptor.value;
+
+        // Same name and arity as the native method; dispatched after the call, once
+        // location already holds the new URL
+        const wrapped = {
+            [name](data, unused) {
+                const result = original.apply(this, arguments);
+                try {
+                    window.dispatchEvent(new CustomEvent(ROUTE_EVENT));
+                } catch (_) {
+                    // Never break the page's own router
+                }
+                return result;
+            }
+        };
+
+        Object.defineProperty(History.prototype, name, Object.assign({}, descriptor, { value: wrapped[name] }));
+    });
+})();
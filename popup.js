@@ -5,6 +5,7 @@ function initPopup() {
   const toggle = document.getElementById('toggle');
   const status = document.getElementById('status');
   const blacklistBtn = document.getElementById('blacklistBtn');
+  const allowlistBtn = document.getElementById('allowlistBtn');
   const form = document.getElementById('settings-form');
   const scheduleCheckbox = document.querySelector('input[name="scheduleEnabled"]');
   const scheduleInputs = document.getElementById('scheduleInputs');
@@ -19,17 +20,35 @@ function initPopup() {
   }
 
   const defaultSettings = {
+    settingsVersion: 2,
     color1: '#00ffff',
     color2: '#00ff00',
     color3: '#ff00ff',
     color4: '#ff0000',
     textShadow: true,
-    highContrast: true,
+    textShadowIntensity: 'medium',
+    highContrast: false,
     focusOutline: true,
     reducedMotion: false,
     fontSize: 16,
     lineHeight: 1.5,
+    fontFamily: '',
+    fontTarget: 'none',
+    contrastFix: 'AA',
+    searchStyle: 'gradient',
+    imageAnalysis: true,
+    codeTheme: 'palette',
+    printDark: false,
+    textViewer: true,
+    pdfTreatment: 'invert',
     colorBlindMode: 'none',
+    renderingMode: 'css',
+    nativeDarkMode: 'soften',
+    nativeDarkSites: {},
+    emulateDarkScheme: true,
+    frameOriginRules: false,
+    siteMode: 'everywhere',
+    allowlist: [],
     blacklist: [],
     perSiteOverrides: {},
     schedule: { enabled: false, start: '20:00', end: '06:00' },
@@ -38,10 +57,10 @@ function initPopup() {
   };
 
   const PRESETS = {
-    cyberpunk: { color1: '#00ffff', color2: '#00ff00', color3: '#ff00ff', color4: '#ff0000', textShadow: true, highContrast: true },
-    minimal: { color1: '#ffffff', color2: '#cccccc', color3: '#888888', color4: '#444444', textShadow: false, highContrast: false },
-    vampire: { color1: '#ff0000', color2: '#800000', color3: '#ff0055', color4: '#330000', textShadow: true, highContrast: true },
-    default: { color1: '#00ffff', color2: '#00ff00', color3: '#ff00ff', color4: '#ff0000', textShadow: true, highContrast: true }
+    cyberpunk: { color1: '#00ffff', color2: '#00ff00', color3: '#ff00ff', color4: '#ff0000', textShadow: true, textShadowIntensity: 'strong', highContrast: true, codeTheme: 'palette' },
+    minimal: { color1: '#ffffff', color2: '#cccccc', color3: '#888888', color4: '#444444', textShadow: false, textShadowIntensity: 'subtle', highContrast: false, codeTheme: 'mono' },
+    vampire: { color1: '#ff0000', color2: '#800000', color3: '#ff0055', color4: '#330000', textShadow: true, textShadowIntensity: 'medium', highContrast: true, codeTheme: 'crimson' },
+    default: { color1: '#00ffff', color2: '#00ff00', color3: '#ff00ff', color4: '#ff0000', textShadow: true, textShadowIntensity: 'medium', highContrast: false, codeTheme: 'palette' }
   };
 
   function loadSettings() {
@@ -57,12 +76,17 @@ function initPopup() {
         form.color3.value = settings.color3;
         form.color4.value = settings.color4;
         form.textShadow.checked = settings.textShadow;
+        form.textShadowIntensity.value = settings.textShadowIntensity || 'medium';
         form.highContrast.checked = settings.highContrast;
         form.focusOutline.checked = settings.focusOutline;
         form.reducedMotion.checked = settings.reducedMotion;
         form.fontSize.value = settings.fontSize;
         document.getElementById('fontSizeValue').textContent = settings.fontSize + 'px';
         form.colorBlindMode.value = settings.colorBlindMode || 'none';
+        form.renderingMode.value = settings.renderingMode || 'css';
+        form.contrastFix.value = settings.contrastFix || 'AA';
+        form.searchStyle.value = settings.searchStyle || 'gradient';
+        form.codeTheme.value = settings.codeTheme || 'palette';
 
         const schedule = settings.schedule || defaultSettings.schedule;
         form.scheduleEnabled.checked = schedule.enabled;
@@ -78,6 +102,8 @@ function initPopup() {
       }
 
       checkCurrentSiteBlacklist(settings.blacklist || []);
+      checkCurrentSiteAllowlist(settings);
+      checkCurrentSiteCodeColors(settings.perSiteOverrides || {});
     });
   }
 
@@ -85,18 +111,22 @@ function initPopup() {
     if (!form) return;
     const formData = new FormData(form);
 
-    let settings = {
+    const formSettings = {
       color1: formData.get('color1'),
       color2: formData.get('color2'),
       color3: formData.get('color3'),
       color4: formData.get('color4'),
       textShadow: !!formData.get('textShadow'),
+      textShadowIntensity: formData.get('textShadowIntensity'),
       highContrast: !!formData.get('highContrast'),
       focusOutline: !!formData.get('focusOutline'),
       reducedMotion: !!formData.get('reducedMotion'),
       fontSize: parseInt(formData.get('fontSize'), 10),
-      lineHeight: 1.5,
       colorBlindMode: formData.get('colorBlindMode'),
+      renderingMode: formData.get('renderingMode'),
+      contrastFix: formData.get('contrastFix'),
+      searchStyle: formData.get('searchStyle'),
+      codeTheme: formData.get('codeTheme'),
       blacklist: (formData.get('blacklist') || '').toString().split(/\r?\n/).map(s => s.trim()).filter(Boolean),
       schedule: {
         enabled: !!formData.get('scheduleEnabled'),
@@ -104,25 +134,48 @@ function initPopup() {
         end: formData.get('scheduleEnd')
       },
       resourceMonitorEnabled: !!formData.get('resourceMonitorEnabled'),
-      debugMode: !!formData.get('debugMode'),
-      perSiteOverrides: {}
+      debugMode: !!formData.get('debugMode')
     };
 
-    if (validate) {
-      settings = validate.validateSettingsObject(settings, defaultSettings);
-    }
+    storeSettings(settings => {
+      Object.assign(settings, formSettings);
+      return {};
+    }, settings => checkCurrentSiteBlacklist(settings.blacklist));
+  }
 
+  /**
+   * Every popup write of cyberdarkSettings: applies a change to the stored settings
+   * (keeping those the popup doesn't show), then validates, quota-checks and reports
+   * failures like the options page
+   * @param {Function} update - Changes the settings in place; returns the status to show
+   *   once saved ({message, duration}, message optional) or null to save nothing
+   * @param {Function} [onSaved] - Called with the saved settings
+   * @param {Function} [onFailed] - Called when nothing could be saved
+   */
+  function storeSettings(update, onSaved, onFailed) {
     chrome.storage.sync.get(['cyberdarkSettings'], (result) => {
-      const existing = result.cyberdarkSettings || {};
-      settings.perSiteOverrides = existing.perSiteOverrides || {};
+      let settings = Object.assign({}, defaultSettings, result.cyberdarkSettings || {});
+      const status = update(settings);
+      if (!status) return;
+
+      if (validate) {
+        settings = validate.validateSettingsObject(settings, defaultSettings);
+      }
 
       if (validate && !validate.fitsInSyncQuota(settings)) {
         showStatus('Settings too large!', 3000);
+        if (onFailed) onFailed();
         return;
       }
 
       chrome.storage.sync.set({ cyberdarkSettings: settings }, () => {
-        checkCurrentSiteBlacklist(settings.blacklist);
+        if (chrome.runtime.lastError) {
+          showStatus(`Saving failed: ${chrome.runtime.lastError.message}`, 3000);
+          if (onFailed) onFailed();
+          return;
+        }
+        if (status.message) showStatus(status.message, status.duration);
+        if (onSaved) onSaved(settings);
       });
     });
   }
@@ -161,34 +214,54 @@ function initPopup() {
         form.color3.value = preset.color3;
         form.color4.value = preset.color4;
         form.textShadow.checked = preset.textShadow;
+        form.textShadowIntensity.value = preset.textShadowIntensity;
         form.highContrast.checked = preset.highContrast;
+        form.codeTheme.value = preset.codeTheme;
         saveSettings();
         showStatus(`Applied ${presetName}`);
       }
     });
   });
 
+  // Blacklist and allowlist entries are URL rules (wildcards, ports, paths, regex); see config.js
+  function rulesCovering(url, rules) {
+    const list = Array.isArray(rules) ? rules : [];
+    if (typeof CyberdarkConfig !== 'undefined' && CyberdarkConfig.matchUrlRules) {
+      return CyberdarkConfig.matchUrlRules(list, url);
+    }
+    const domain = new URL(url).hostname;
+    return list.filter(d => domain === d || domain.endsWith('.' + d));
+  }
+
+  // The toggles only remove rules naming this host; wildcards, regexes and bare parent
+  // domains cover other sites too, so they are reported instead
+  function splitCoveringRules(url, rules) {
+    const hostname = new URL(url).hostname;
+    const namesHost = typeof CyberdarkConfig !== 'undefined' && CyberdarkConfig.ruleNamesHost
+      ? rule => CyberdarkConfig.ruleNamesHost(rule, hostname)
+      : rule => rule === hostname;
+    const covering = rulesCovering(url, rules);
+    return { own: covering.filter(namesHost), broader: covering.filter(rule => !namesHost(rule)) };
+  }
+
   function checkCurrentSiteBlacklist(blacklist) {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       if (!tabs[0] || !tabs[0].url) return;
       try {
-        const url = new URL(tabs[0].url);
-        const domain = url.hostname;
-        const safeDomain = validate ? validate.sanitizeDomain(domain) : domain;
-        if (!safeDomain) return;
-
-        const isListed = (Array.isArray(blacklist) ? blacklist : []).some(d => {
-          const pattern = validate ? validate.sanitizeDomain(d) : d;
-          if (!pattern) return false;
-          return (typeof CyberdarkConfig !== 'undefined' && CyberdarkConfig.hostMatches)
-            ? CyberdarkConfig.hostMatches(safeDomain, pattern)
-            : (safeDomain === pattern || safeDomain.endsWith('.' + pattern));
-        });
+        const { own, broader } = splitCoveringRules(tabs[0].url, blacklist);
 
-        if (isListed) {
+        blacklistBtn.disabled = false;
+        blacklistBtn.title = broader.length ? `Also blacklisted by: ${broader.join(', ')}` : '';
+        if (own.length) {
           blacklistBtn.textContent = 'Remove from Blacklist';
           blacklistBtn.classList.remove('btn-destructive');
           blacklistBtn.classList.add('btn-secondary');
+        } else if (broader.length) {
+          // Nothing here to remove; the rules are edited in the blacklist below
+          blacklistBtn.textContent = 'Blacklisted by Broader Rule';
+          blacklistBtn.disabled = true;
+          blacklistBtn.classList.remove('btn-destructive');
+          blacklistBtn.classList.add('btn-secondary');
         } else {
           blacklistBtn.textContent = 'Blacklist This Site';
           blacklistBtn.classList.add('btn-destructive');
@@ -205,41 +278,238 @@ function initPopup() {
         const url = new URL(tabs[0].url);
         const domain = url.hostname;
 
-        chrome.storage.sync.get(['cyberdarkSettings'], (result) => {
-          const settings = result.cyberdarkSettings || defaultSettings;
+        storeSettings(settings => {
           let blacklist = settings.blacklist || [];
           const safeDomain = validate ? validate.sanitizeDomain(domain) : domain;
-          const isListed = blacklist.some(d => {
-            const pattern = validate ? validate.sanitizeDomain(d) : d;
-            return safeDomain === pattern || safeDomain.endsWith('.' + pattern);
-          });
-
-          if (isListed) {
-            blacklist = blacklist.filter(d => {
-              const pattern = validate ? validate.sanitizeDomain(d) : d;
-              return !(safeDomain === pattern || safeDomain.endsWith('.' + pattern));
-            });
-            showStatus('Removed from blacklist');
-          } else {
+          const { own, broader } = splitCoveringRules(url.href, blacklist);
+          let status;
+
+          if (own.length > 0) {
+            blacklist = blacklist.filter(rule => !own.includes(rule));
+            status = broader.length
+              ? { message: `Removed; still blacklisted by: ${broader.join(', ')}`, duration: 5000 }
+              : { message: 'Removed from blacklist' };
+          } else if (broader.length > 0) {
+            showStatus(`Blacklisted by: ${broader.join(', ')}`, 5000);
+            return null;
+          } else if (safeDomain) {
             blacklist.push(safeDomain);
-            showStatus('Added to blacklist');
+            status = { message: 'Added to blacklist' };
+          } else {
+            return null;
           }
 
           settings.blacklist = blacklist;
-
+          return status;
+        }, settings => {
           if (form) {
-            form.blacklist.value = blacklist.join('\n');
+            form.blacklist.value = settings.blacklist.join('\n');
           }
+          checkCurrentSiteBlacklist(settings.blacklist);
+          chrome.tabs.reload(tabs[0].id);
+        });
+      });
+    });
+  }
 
-          chrome.storage.sync.set({ cyberdarkSettings: settings }, () => {
-            checkCurrentSiteBlacklist(blacklist);
-            chrome.tabs.reload(tabs[0].id);
-          });
+  // Allowlist mode swaps the blacklist button for "Enable on This Site"
+  function checkCurrentSiteAllowlist(settings) {
+    const allowlistMode = settings.siteMode === 'allowlist';
+    if (blacklistBtn) blacklistBtn.classList.toggle('hidden', allowlistMode);
+    if (!allowlistBtn) return;
+    allowlistBtn.classList.toggle('hidden', !allowlistMode);
+    if (!allowlistMode) return;
+
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (!tabs[0] || !tabs[0].url) return;
+      try {
+        const { own, broader } = splitCoveringRules(tabs[0].url, settings.allowlist);
+        allowlistBtn.disabled = !own.length && broader.length > 0;
+        allowlistBtn.title = broader.length ? `Also enabled by: ${broader.join(', ')}` : '';
+        if (own.length) allowlistBtn.textContent = 'Disable on This Site';
+        else allowlistBtn.textContent = broader.length ? 'Enabled by Broader Rule' : 'Enable on This Site';
+      } catch (e) {}
+    });
+  }
+
+  if (allowlistBtn) {
+    allowlistBtn.addEventListener('click', () => {
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0] || !tabs[0].url) return;
+        const url = new URL(tabs[0].url);
+
+        storeSettings(settings => {
+          let allowlist = settings.allowlist || [];
+          const safeDomain = validate ? validate.sanitizeDomain(url.hostname) : url.hostname;
+          const { own, broader } = splitCoveringRules(url.href, allowlist);
+          let status;
+
+          if (own.length > 0) {
+            allowlist = allowlist.filter(rule => !own.includes(rule));
+            status = broader.length
+              ? { message: `Removed; still enabled by: ${broader.join(', ')}`, duration: 5000 }
+              : { message: 'Disabled on this site' };
+          } else if (broader.length > 0) {
+            showStatus(`Enabled by: ${broader.join(', ')}`, 5000);
+            return null;
+          } else if (safeDomain) {
+            allowlist.push(safeDomain);
+            status = { message: 'Enabled on this site' };
+          } else {
+            return null;
+          }
+          settings.allowlist = allowlist;
+          return status;
+        }, settings => {
+          checkCurrentSiteAllowlist(settings);
+          chrome.tabs.reload(tabs[0].id);
         });
       });
     });
   }
 
+  const siteCodeColors = document.getElementById('siteCodeColors');
+
+  function currentSiteDomain(tabs) {
+    if (!tabs[0] || !tabs[0].url) return null;
+    try {
+      const domain = new URL(tabs[0].url).hostname;
+      return validate ? validate.sanitizeDomain(domain) : domain;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function checkCurrentSiteCodeColors(overrides) {
+    if (!siteCodeColors) return;
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const domain = currentSiteDomain(tabs);
+      siteCodeColors.disabled = !domain;
+      siteCodeColors.checked = !!(domain && overrides[domain] && overrides[domain].codeTheme === 'site');
+    });
+  }
+
+  if (siteCodeColors) {
+    // Saved as a per-site override, not through the form: keep the form's save from racing it
+    siteCodeColors.addEventListener('input', (e) => e.stopPropagation());
+    siteCodeColors.addEventListener('change', (e) => {
+      e.stopPropagation();
+      const keep = siteCodeColors.checked;
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        const domain = currentSiteDomain(tabs);
+        if (!domain) return;
+
+        storeSettings(settings => {
+          const overrides = Object.assign({}, settings.perSiteOverrides);
+          const site = Object.assign({}, overrides[domain]);
+          if (keep) site.codeTheme = 'site';
+          else delete site.codeTheme;
+
+          if (Object.keys(site).length > 0) overrides[domain] = site;
+          else delete overrides[domain];
+          settings.perSiteOverrides = overrides;
+          return { message: keep ? 'Keeping site code colors' : 'Theming site code colors' };
+        }, settings => checkCurrentSiteCodeColors(settings.perSiteOverrides || {}), () => {
+          siteCodeColors.checked = !keep;
+        });
+      });
+    });
+  }
+
+  // Element picker runs in the page; the popup closes so the page gets the mouse
+  const pickElementBtn = document.getElementById('pickElementBtn');
+  if (pickElementBtn) {
+    pickElementBtn.addEventListener('click', () => {
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]) return;
+        chrome.tabs.sendMessage(tabs[0].id, { type: 'startPicker' }, { frameId: 0 }, (response) => {
+          if (chrome.runtime.lastError || !response || !response.started) {
+            showStatus('Elements on this page cannot be picked', 3000);
+            return;
+          }
+          window.close();
+        });
+      });
+    });
+  }
+
+  const printLightBtn = document.getElementById('printLightBtn');
+  if (printLightBtn) {
+    printLightBtn.addEventListener('click', () => {
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]) return;
+        // Every frame lifts its theme; the top frame opens the print dialog
+        chrome.tabs.sendMessage(tabs[0].id, { type: 'printLight' }, () => {
+          if (chrome.runtime.lastError) {
+            showStatus('This page cannot be printed from here', 3000);
+            return;
+          }
+          window.close();
+        });
+      });
+    });
+  }
+
+  const contrastBtn = document.getElementById('contrastBtn');
+  const contrastReport = document.getElementById('contrastReport');
+
+  function renderContrastReport(report, reason) {
+    contrastReport.textContent = '';
+    if (!report) {
+      const messages = {
+        filter: 'Contrast checks are not available in Filter mode.',
+        unavailable: 'This page cannot be checked.',
+        superseded: 'The page changed during the check. Try again.'
+      };
+      contrastReport.textContent = messages[reason] || 'Cyberdark is not active on this page.';
+      return;
+    }
+
+    const summary = document.createElement('div');
+    summary.textContent = `${report.checked} text elements checked, ${report.failing} below ${report.level}, ${report.fixed} fixed.`;
+    contrastReport.appendChild(summary);
+
+    if (report.worst.length) {
+      const list = document.createElement('ul');
+      list.className = 'contrast-list';
+      report.worst.forEach(item => {
+        const li = document.createElement('li');
+        li.textContent = `${item.ratio}:1 (needs ${item.required}:1) ${item.selector}`;
+        li.title = item.text;
+        list.appendChild(li);
+      });
+      contrastReport.appendChild(list);
+    }
+  }
+
+  if (contrastBtn && contrastReport) {
+    contrastBtn.addEventListener('click', () => {
+      contrastReport.textContent = 'Checking...';
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]) return;
+        chrome.tabs.sendMessage(tabs[0].id, { type: 'getContrastReport' }, { frameId: 0 }, (response) => {
+          if (chrome.runtime.lastError || !response) {
+            contrastReport.textContent = 'This page cannot be checked.';
+            return;
+          }
+          renderContrastReport(response.report, response.reason);
+        });
+      });
+    });
+  }
+
+  // Site fixes (bundled or from the user's files) that matched this page
+  const siteFixesInfo = document.getElementById('siteFixes');
+  if (siteFixesInfo) {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (!tabs[0]) return;
+      chrome.tabs.sendMessage(tabs[0].id, { type: 'getSiteFixes' }, { frameId: 0 }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.matched.length) return;
+        siteFixesInfo.textContent = 'Site fixes: ' + response.matched.map(m => `${m.pattern} (${m.source} #${m.index + 1})`).join(', ');
+      });
+    });
+  }
+
   const exportBtn = document.getElementById('exportSettings');
   const importBtn = document.getElementById('importSettings');
   const importFile = document.getElementById('importFile');
@@ -274,17 +544,21 @@ function initPopup() {
         try {
           const imported = JSON.parse(reader.result);
           let settings = imported;
+          let importNotice = null;
           if (validate) {
             const verified = await validate.verifySettings(imported);
             if (verified === null) {
               showStatus('Invalid signature!', 5000);
               return;
             }
-            settings = validate.validateSettingsObject(verified, defaultSettings);
+            const migrated = typeof CyberdarkConfig !== 'undefined' ? CyberdarkConfig.migrateSettings(verified) : verified;
+            settings = validate.validateSettingsObject(migrated, defaultSettings);
+            if (migrated.highContrast !== verified.highContrast) importNotice = CyberdarkConfig.HIGH_CONTRAST_NOTICE;
           }
           chrome.storage.sync.set({ cyberdarkSettings: settings }, () => {
             loadSettings();
-            showStatus('Settings Imported');
+            if (importNotice) showStatus(`Settings Imported. ${importNotice}`, 8000);
+            else showStatus('Settings Imported');
           });
         } catch (err) {
           showStatus('Invalid JSON');
@@ -307,6 +581,16 @@ function initPopup() {
   }
 
   loadSettings();
+
+  // One-time message left by the background worker's settings migration
+  if (typeof CyberdarkConfig !== 'undefined' && CyberdarkConfig.MIGRATION_NOTICE_KEY) {
+    const noticeKey = CyberdarkConfig.MIGRATION_NOTICE_KEY;
+    chrome.storage.local.get([noticeKey], (result) => {
+      if (!result[noticeKey]) return;
+      showStatus(result[noticeKey], 10000);
+      chrome.storage.local.remove(noticeKey);
+    });
+  }
 }
 
 document.addEventListener('DOMContentLoaded', initPopup);
@@ -0,0 +1,244 @@
+// site-fixes.js - Declarative per-site fixes for Cyberdark
+// A bundled database plus user fix files loaded from the options page. Shared by
+// content scripts, the background worker and the options page.
+
+(function (global) {
+    'use strict';
+
+    // User fix files live in local storage; a database easily outgrows sync quotas
+    const USER_FIXES_KEY = 'cyberdarkUserFixes';
+
+    const MAX_FIXES_PER_FILE = 500;
+    const MAX_SELECTORS_PER_FIX = 50;
+    const FIX_FIELDS = ['url', 'invert', 'ignore', 'css', 'mode', 'skip'];
+
+    /*
+     * Fix format (the same for bundled fixes and user files):
+     *   url    - URL rules (CyberdarkConfig.parseUrlRule): a hostname (subdomains included),
+     *            wildcards, ports, path prefixes or globs ("google.com/maps"), /regex/. Required.
+     *   invert - Selectors inverted in place (light diagrams, math images, maps)
+     *   ignore - Selectors left out of per-element recoloring: dynamic colors, background
+     *            and icon recoloring, image dimming and contrast fixes
+     *   css    - Extra CSS, validated like per-site custom CSS (no remote loads)
+     *   mode   - Forced rendering mode: 'css', 'dynamic' or 'filter'
+     *   skip   - true: never theme matching pages; false: undo a bundled skip
+     */
+    const BUNDLED_FIXES = [
+        // Canvas-rendered editors: recoloring the DOM around the canvas only breaks them
+        { url: ['docs.google.com', 'sheets.google.com', 'slides.google.com'], skip: true },
+        { url: ['figma.com'], skip: true },
+        { url: ['chrome.google.com'], skip: true },
+        {
+            // Black-on-transparent math fallback images
+            url: ['wikipedia.org', 'wiktionary.org'],
+            invert: ['.mwe-math-fallback-image-inline', '.mwe-math-fallback-image-display']
+        },
+        {
+            // Map tiles are photos and drawings; dimming them hides labels
+            url: ['openstreetmap.org'],
+            ignore: ['.leaflet-tile-pane']
+        },
+        {
+            url: ['google.com/maps'],
+            ignore: ['.widget-scene', 'canvas']
+        }
+    ];
+
+    // ============================================================================
+    // Validation
+    // ============================================================================
+
+    /**
+     * Checks selector syntax where a DOM is available. The background worker has none and
+     * only rejects rule-breaking characters, so content scripts re-check each selector
+     * before matching with it; the options page import gets the full check
+     * @param {string} selector - CSS selector
+     * @returns {boolean} True when the selector parses and can't escape a rule block
+     */
+    function isValidSelector(selector) {
+        if (typeof selector !== 'string' || !selector.trim() || /[{}<;]/.test(selector)) return false;
+        if (typeof document === 'undefined') return true;
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    function validateSelectorList(value, field, errors) {
+        if (value === undefined) return [];
+        if (!Array.isArray(value)) {
+            errors.push(`"${field}" must be an array of selectors`);
+            return [];
+        }
+        const valid = value.filter(selector => {
+            if (isValidSelector(selector)) return true;
+            errors.push(`Invalid "${field}" selector: ${String(selector).slice(0, 60)}`);
+            return false;
+        });
+        return valid.slice(0, MAX_SELECTORS_PER_FIX).map(selector => selector.trim());
+    }
+
+    /**
+     * Validates one fix; invalid selectors are dropped, a bad url/mode/css drops the fix
+     * @param {any} fix - Raw fix object
+     * @returns {{fix: Object|null, errors: string[]}} Clean fix (null if unusable) and problems found
+     */
+    function validateFix(fix) {
+        const errors = [];
+        if (!fix || typeof fix !== 'object' || Array.isArray(fix)) {
+            return { fix: null, errors: ['Fix must be an object'] };
+        }
+
+        Object.keys(fix).forEach(key => {
+            if (!FIX_FIELDS.includes(key)) errors.push(`Unknown field "${key}"`);
+        });
+
+        const validate = global.CyberdarkValidate;
+        const urls = Array.isArray(fix.url) ? fix.url : [fix.url];
+        const patterns = validate ? urls.map(p => validate.sanitizeUrlPattern(p)).filter(Boolean) : [];
+        if (patterns.length !== urls.length) errors.push('"url" must be URL rules, e.g. "example.com", "*.example.com" or "example.com/docs/*"');
+
+        const clean = { url: patterns };
+        const invert = validateSelectorList(fix.invert, 'invert', errors);
+        const ignore = validateSelectorList(fix.ignore, 'ignore', errors);
+        if (invert.length) clean.invert = invert;
+        if (ignore.length) clean.ignore = ignore;
+
+        let usable = patterns.length > 0;
+        if (fix.css !== undefined) {
+            const result = validate ? validate.validateCustomCss(fix.css) : { css: '', errors: ['CSS validation unavailable'] };
+            if (typeof fix.css !== 'string') result.errors = ['"css" must be a string'];
+            result.errors.forEach(error => errors.push(`css: ${error}`));
+            if (result.errors.length) usable = false;
+            else if (result.css) clean.css = result.css;
+        }
+
+        if (fix.mode !== undefined) {
+            const modes = (global.CyberdarkConfig && global.CyberdarkConfig.RENDERING_MODES) || ['css', 'dynamic', 'filter'];
+            if (modes.includes(fix.mode)) clean.mode = fix.mode;
+            else {
+                errors.push(`"mode" must be one of ${modes.join(', ')}`);
+                usable = false;
+            }
+        }
+
+        if (fix.skip !== undefined) {
+            if (typeof fix.skip === 'boolean') clean.skip = fix.skip;
+            else errors.push('"skip" must be true or false');
+        }
+
+        return { fix: usable ? clean : null, errors };
+    }
+
+    /**
+     * Validates a fix file: an array of fixes or {fixes: [...]}
+     * @param {any} data - Parsed JSON
+     * @returns {{fixes: Object[], errors: string[]}} Usable fixes and numbered problems
+     */
+    function validateFixList(data) {
+        const list = Array.isArray(data) ? data : (data && Array.isArray(data.fixes) ? data.fixes : null);
+        if (!list) return { fixes: [], errors: ['Expected an array of fixes or {"fixes": [...]}'] };
+
+        const fixes = [];
+        const errors = [];
+        if (list.length > MAX_FIXES_PER_FILE) errors.push(`Only the first ${MAX_FIXES_PER_FILE} fixes are used`);
+        list.slice(0, MAX_FIXES_PER_FILE).forEach((raw, index) => {
+            const result = validateFix(raw);
+            result.errors.forEach(error => errors.push(`Fix ${index + 1}: ${error}`));
+            if (result.fix) fixes.push(result.fix);
+        });
+        return { fixes, errors };
+    }
+
+    /**
+     * Fully validates stored user fix files. Done when files are stored and when the
+     * background worker loads them, so matching only has to check their shape
+     * @param {Array} userFiles - Stored user fix files ([{name, fixes}])
+     * @returns {Array<{name: string, fixes: Object[]}>} Files holding only their usable fixes
+     */
+    function prepareUserFixes(userFiles) {
+        if (!Array.isArray(userFiles)) return [];
+        return userFiles
+            .filter(file => file && typeof file.name === 'string')
+            .map(file => ({ name: file.name, fixes: validateFixList(file.fixes).fixes }));
+    }
+
+    // ============================================================================
+    // Matching
+    // ============================================================================
+
+    const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+    // Fields resolveSiteFix reads have the types it expects
+    function hasFixShape(fix) {
+        return !!fix && isStringList(fix.url) &&
+            (fix.invert === undefined || isStringList(fix.invert)) &&
+            (fix.ignore === undefined || isStringList(fix.ignore)) &&
+            (fix.css === undefined || typeof fix.css === 'string') &&
+            (fix.mode === undefined || typeof fix.mode === 'string') &&
+            (fix.skip === undefined || typeof fix.skip === 'boolean');
+    }
+
+    // Matching runs for every frame and blacklist check, so stored files aren't re-validated
+    // here (see prepareUserFixes); a loaded array is shape-checked once
+    const userFixSourceCache = new WeakMap();
+
+    function userFixSources(userFiles) {
+        if (!Array.isArray(userFiles)) return [];
+        if (!userFixSourceCache.has(userFiles)) {
+            userFixSourceCache.set(userFiles, userFiles
+                .filter(file => file && typeof file.name === 'string' && Array.isArray(file.fixes))
+                .map(file => ({ source: file.name, fixes: file.fixes.filter(hasFixShape) })));
+        }
+        return userFixSourceCache.get(userFiles);
+    }
+
+    /**
+     * Merges every fix matching a URL; user files apply after the bundled database,
+     * so their mode and skip win and their CSS comes last
+     * @param {string} url - Page URL
+     * @param {Array} [userFiles] - Stored user fix files ([{name, fixes}])
+     * @returns {{skip: boolean, mode: string|null, invert: string[], ignore: string[], css: string,
+     *   matched: Array<{source: string, index: number, pattern: string}>}} Combined fix
+     */
+    function resolveSiteFix(url, userFiles) {
+        const result = { skip: false, mode: null, invert: [], ignore: [], css: '', matched: [] };
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (_) {
+            return result;
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return result;
+
+        const config = global.CyberdarkConfig;
+        if (!config) return result;
+
+        const sources = [{ source: 'bundled', fixes: BUNDLED_FIXES }].concat(userFixSources(userFiles));
+        sources.forEach(({ source, fixes }) => {
+            fixes.forEach((fix, index) => {
+                const pattern = fix.url.find(p => config.urlRuleMatches(p, parsed));
+                if (!pattern) return;
+                result.matched.push({ source, index, pattern });
+                if (typeof fix.skip === 'boolean') result.skip = fix.skip;
+                if (fix.mode) result.mode = fix.mode;
+                if (fix.invert) result.invert.push(...fix.invert);
+                if (fix.ignore) result.ignore.push(...fix.ignore);
+                if (fix.css) result.css += (result.css ? '\n' : '') + fix.css;
+            });
+        });
+        return result;
+    }
+
+    global.CyberdarkSiteFixes = {
+        USER_FIXES_KEY,
+        BUNDLED_FIXES,
+        validateFix,
+        validateFixList,
+        prepareUserFixes,
+        resolveSiteFix
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -85,6 +85,42 @@
         return sanitizeNumericRange(lineHeight, 1.0, 2.2, 1.5);
     }
 
+    /**
+     * Validates a font-family stack
+     * SECURITY: Only names, quotes, commas, spaces and hyphens, so the value
+     * cannot close the declaration it is inserted into
+     * @param {any} fontFamily - Font stack, e.g. '"SF Mono", monospace'
+     * @returns {string} Valid font stack or '' (keep the site's fonts)
+     */
+    function sanitizeFontFamily(fontFamily) {
+        if (typeof fontFamily !== 'string') return '';
+
+        const value = fontFamily.trim();
+        if (!value || value.length > 200) return '';
+        if (!/^[\w\s"',-]+$/.test(value)) return '';
+
+        // Quotes must pair up
+        if ((value.match(/"/g) || []).length % 2 !== 0) return '';
+        if ((value.match(/'/g) || []).length % 2 !== 0) return '';
+
+        return value;
+    }
+
+    /**
+     * Validates fontTarget setting
+     * @param {any} target - Where the replacement font applies
+     * @returns {string} 'none', 'body', 'mono' or 'both'
+     */
+    function sanitizeFontTarget(target) {
+        const validTargets = ['none', 'body', 'mono', 'both'];
+
+        if (typeof target === 'string' && validTargets.includes(target)) {
+            return target;
+        }
+
+        return 'none';
+    }
+
     // ============================================================================
     // Domain Validation
     // ============================================================================
@@ -139,6 +175,53 @@
             .slice(0, 1000); // Max 1000 domains to prevent DoS
     }
 
+    // Optional scheme, host (may hold '*' wildcards), optional port, optional path
+    const URL_RULE_GLOB = /^(?:([a-z][a-z0-9+.-]*|\*):\/\/)?([a-z0-9*-]+(?:\.[a-z0-9*-]+)*)(?::(\d{1,5}|\*))?(\/\S*)?$/i;
+    const URL_RULE_REGEX = /^\/(.+)\/([imsu]*)$/;
+
+    /**
+     * Validates a URL rule: a domain, a wildcard/port/path pattern or a /regex/
+     * (syntax in CyberdarkConfig.parseUrlRule)
+     * @param {string} pattern - Pattern to validate
+     * @returns {string|null} Normalized pattern (scheme and host lowercased) or null
+     */
+    function sanitizeUrlPattern(pattern) {
+        if (typeof pattern !== 'string') return null;
+        pattern = pattern.trim();
+        if (!pattern || pattern.length > 500) return null;
+
+        const regex = URL_RULE_REGEX.exec(pattern);
+        if (regex) {
+            try {
+                new RegExp(regex[1], regex[2]);
+                return pattern;
+            } catch (_) {
+                return null;
+            }
+        }
+
+        const match = URL_RULE_GLOB.exec(pattern);
+        if (!match) return null;
+        const [, scheme, host, port, path] = match;
+        // A host needs something besides wildcards, unless it is the lone '*'
+        if (host !== '*' && !/[a-z0-9]/i.test(host)) return null;
+        if (port && port !== '*' && Number(port) > 65535) return null;
+        return (scheme ? scheme.toLowerCase() + '://' : '') + host.toLowerCase() + (port ? ':' + port : '') + (path || '');
+    }
+
+    /**
+     * Validates a list of URL rules (blacklist)
+     * @param {Array|string} patterns - Array or newline-separated string of patterns
+     * @returns {Array} Valid, normalized patterns
+     */
+    function sanitizeUrlPatternList(patterns) {
+        const list = typeof patterns === 'string' ? patterns.split(/\r?\n/) : (Array.isArray(patterns) ? patterns : []);
+        return list
+            .map(p => sanitizeUrlPattern(p))
+            .filter(p => p !== null)
+            .slice(0, 1000); // Max 1000 rules to prevent DoS
+    }
+
     // ============================================================================
     // Time Validation
     // ============================================================================
@@ -185,6 +268,151 @@
         return 'none';
     }
 
+    /**
+     * Validates textShadowIntensity setting
+     * @param {any} intensity - Glow intensity value
+     * @returns {string} 'subtle', 'medium' or 'strong'
+     */
+    function sanitizeTextShadowIntensity(intensity) {
+        const validIntensities = ['subtle', 'medium', 'strong'];
+
+        if (typeof intensity === 'string' && validIntensities.includes(intensity)) {
+            return intensity;
+        }
+
+        return 'medium';
+    }
+
+    /**
+     * Validates contrastFix setting
+     * @param {any} level - WCAG level to enforce
+     * @returns {string} 'off', 'AA' or 'AAA'
+     */
+    function sanitizeContrastFix(level) {
+        const validLevels = ['off', 'AA', 'AAA'];
+
+        if (typeof level === 'string' && validLevels.includes(level)) {
+            return level;
+        }
+
+        return 'AA';
+    }
+
+    /**
+     * Validates siteMode setting
+     * @param {any} mode - Operating mode
+     * @returns {string} 'everywhere' or 'allowlist'
+     */
+    function sanitizeSiteMode(mode) {
+        const validModes = ['everywhere', 'allowlist'];
+
+        if (typeof mode === 'string' && validModes.includes(mode)) {
+            return mode;
+        }
+
+        return 'everywhere';
+    }
+
+    /**
+     * Validates pdfTreatment setting
+     * @param {any} treatment - PDF viewer treatment
+     * @returns {string} 'invert', 'sepia', 'tint' or 'off'
+     */
+    function sanitizePdfTreatment(treatment) {
+        const validTreatments = ['invert', 'sepia', 'tint', 'off'];
+
+        if (typeof treatment === 'string' && validTreatments.includes(treatment)) {
+            return treatment;
+        }
+
+        return 'invert';
+    }
+
+    /**
+     * Validates codeTheme setting
+     * @param {any} theme - Code block theme
+     * @returns {string} 'palette', 'phosphor', 'mono', 'crimson' or 'site'
+     */
+    function sanitizeCodeTheme(theme) {
+        const validThemes = ['palette', 'phosphor', 'mono', 'crimson', 'site'];
+
+        if (typeof theme === 'string' && validThemes.includes(theme)) {
+            return theme;
+        }
+
+        return 'palette';
+    }
+
+    /**
+     * Validates searchStyle setting
+     * @param {any} style - Search field style
+     * @returns {string} 'gradient', 'border', 'glow' or 'plain'
+     */
+    function sanitizeSearchStyle(style) {
+        const validStyles = ['gradient', 'border', 'glow', 'plain'];
+
+        if (typeof style === 'string' && validStyles.includes(style)) {
+            return style;
+        }
+
+        return 'gradient';
+    }
+
+    /**
+     * Validates renderingMode setting
+     * @param {any} mode - Rendering mode value
+     * @returns {string} Valid mode or 'css'
+     */
+    function sanitizeRenderingMode(mode) {
+        const validModes = ['css', 'dynamic', 'filter'];
+
+        if (typeof mode === 'string' && validModes.includes(mode)) {
+            return mode;
+        }
+
+        return 'css';
+    }
+
+    /**
+     * Validates nativeDarkMode setting
+     * @param {any} mode - What to do on sites with their own dark theme
+     * @returns {string} 'soften', 'skip' or 'ignore'
+     */
+    function sanitizeNativeDarkMode(mode) {
+        const validModes = ['soften', 'skip', 'ignore'];
+
+        if (typeof mode === 'string' && validModes.includes(mode)) {
+            return mode;
+        }
+
+        return 'soften';
+    }
+
+    /**
+     * Validates remembered native dark mode decisions
+     * SECURITY: Prevents prototype pollution
+     * @param {Object} sites - Map of hostname to 'apply' or 'skip'
+     * @returns {Object} Safe decisions object
+     */
+    function sanitizeNativeDarkSites(sites) {
+        const safe = Object.create(null);
+        if (typeof sites !== 'object' || sites === null || Array.isArray(sites)) return safe;
+
+        let count = 0;
+        for (const key in sites) {
+            if (!Object.prototype.hasOwnProperty.call(sites, key)) continue;
+            const domain = sanitizeDomain(key);
+            const decision = sites[key];
+            if (!domain || (decision !== 'apply' && decision !== 'skip')) continue;
+
+            safe[domain] = decision;
+            // Limit entries (prevent storage DoS)
+            if (++count >= 200) break;
+        }
+
+        return safe;
+    }
+
     /**
      * Validates and sanitizes per-site overrides JSON
      * SECURITY: Prevents prototype pollution
@@ -219,7 +447,7 @@
                 continue;
             }
 
-            const domain = sanitizeDomain(key);
+            const domain = sanitizeUrlPattern(key);
             if (!domain) continue;
 
             // Validate settings object for this domain
@@ -237,13 +465,26 @@
             if (domainSettings.color4) safe[domain].color4 = sanitizeHexColor(domainSettings.color4, '#ff0000');
 
             if (domainSettings.textShadow !== undefined) safe[domain].textShadow = Boolean(domainSettings.textShadow);
+            if (domainSettings.textShadowIntensity) safe[domain].textShadowIntensity = sanitizeTextShadowIntensity(domainSettings.textShadowIntensity);
             if (domainSettings.highContrast !== undefined) safe[domain].highContrast = Boolean(domainSettings.highContrast);
             if (domainSettings.focusOutline !== undefined) safe[domain].focusOutline = Boolean(domainSettings.focusOutline);
             if (domainSettings.reducedMotion !== undefined) safe[domain].reducedMotion = Boolean(domainSettings.reducedMotion);
 
             if (domainSettings.fontSize) safe[domain].fontSize = sanitizeFontSize(domainSettings.fontSize);
             if (domainSettings.lineHeight) safe[domain].lineHeight = sanitizeLineHeight(domainSettings.lineHeight);
+            if (domainSettings.fontFamily !== undefined) safe[domain].fontFamily = sanitizeFontFamily(domainSettings.fontFamily);
+            if (domainSettings.fontTarget) safe[domain].fontTarget = sanitizeFontTarget(domainSettings.fontTarget);
+            if (domainSettings.contrastFix) safe[domain].contrastFix = sanitizeContrastFix(domainSettings.contrastFix);
+            if (domainSettings.searchStyle) safe[domain].searchStyle = sanitizeSearchStyle(domainSettings.searchStyle);
+            if (domainSettings.imageAnalysis !== undefined) safe[domain].imageAnalysis = Boolean(domainSettings.imageAnalysis);
+            if (domainSettings.codeTheme) safe[domain].codeTheme = sanitizeCodeTheme(domainSettings.codeTheme);
+            if (domainSettings.pdfTreatment) safe[domain].pdfTreatment = sanitizePdfTreatment(domainSettings.pdfTreatment);
+            if (domainSettings.textViewer !== undefined) safe[domain].textViewer = Boolean(domainSettings.textViewer);
+            if (domainSettings.printDark !== undefined) safe[domain].printDark = Boolean(domainSettings.printDark);
             if (domainSettings.colorBlindMode) safe[domain].colorBlindMode = sanitizeColorBlindMode(domainSettings.colorBlindMode);
+            if (domainSettings.renderingMode) safe[domain].renderingMode = sanitizeRenderingMode(domainSettings.renderingMode);
+            if (domainSettings.nativeDarkMode) safe[domain].nativeDarkMode = sanitizeNativeDarkMode(domainSettings.nativeDarkMode);
+            if (domainSettings.emulateDarkScheme !== undefined) safe[domain].emulateDarkScheme = Boolean(domainSettings.emulateDarkScheme);
         }
 
         // Limit total number of overrides (prevent storage DoS)
@@ -271,18 +512,38 @@
         }
 
         const validated = {
+            settingsVersion: Number.isInteger(settings.settingsVersion) && settings.settingsVersion > 0
+                ? settings.settingsVersion
+                : defaults.settingsVersion,
             color1: sanitizeHexColor(settings.color1, defaults.color1),
             color2: sanitizeHexColor(settings.color2, defaults.color2),
             color3: sanitizeHexColor(settings.color3, defaults.color3),
             color4: sanitizeHexColor(settings.color4, defaults.color4),
             textShadow: Boolean(settings.textShadow),
+            textShadowIntensity: sanitizeTextShadowIntensity(settings.textShadowIntensity),
             highContrast: Boolean(settings.highContrast),
             focusOutline: Boolean(settings.focusOutline),
             reducedMotion: Boolean(settings.reducedMotion),
             fontSize: sanitizeFontSize(settings.fontSize),
             lineHeight: sanitizeLineHeight(settings.lineHeight),
+            fontFamily: sanitizeFontFamily(settings.fontFamily),
+            fontTarget: sanitizeFontTarget(settings.fontTarget),
+            contrastFix: sanitizeContrastFix(settings.contrastFix),
+            searchStyle: sanitizeSearchStyle(settings.searchStyle),
+            imageAnalysis: settings.imageAnalysis === undefined ? true : Boolean(settings.imageAnalysis),
+            codeTheme: sanitizeCodeTheme(settings.codeTheme),
+            pdfTreatment: sanitizePdfTreatment(settings.pdfTreatment),
+            textViewer: settings.textViewer === undefined ? true : Boolean(settings.textViewer),
+            printDark: Boolean(settings.printDark),
             colorBlindMode: sanitizeColorBlindMode(settings.colorBlindMode),
-            blacklist: sanitizeDomainList(settings.blacklist || []),
+            renderingMode: sanitizeRenderingMode(settings.renderingMode),
+            nativeDarkMode: sanitizeNativeDarkMode(settings.nativeDarkMode),
+            nativeDarkSites: sanitizeNativeDarkSites(settings.nativeDarkSites || {}),
+            emulateDarkScheme: settings.emulateDarkScheme === undefined ? true : Boolean(settings.emulateDarkScheme),
+            frameOriginRules: Boolean(settings.frameOriginRules),
+            siteMode: sanitizeSiteMode(settings.siteMode),
+            allowlist: sanitizeUrlPatternList(settings.allowlist || []),
+            blacklist: sanitizeUrlPatternList(settings.blacklist || []),
             perSiteOverrides: sanitizePerSiteOverrides(settings.perSiteOverrides || {}),
             debugMode: Boolean(settings.debugMode)
         };
@@ -301,6 +562,111 @@
         return validated;
     }
 
+    // ============================================================================
+    // Custom CSS
+    // ============================================================================
+
+    // Per site; a sync storage item holds 8KB including its key
+    const CUSTOM_CSS_MAX_BYTES = 7000;
+
+    function decodeCssEscape(hex) {
+        const code = parseInt(hex, 16);
+        return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '\uFFFD';
+    }
+
+    // Relative references and data: URIs stay on the page; anything with a scheme
+    // or a protocol-relative host would fetch from elsewhere
+    function isLocalCssUrl(value) {
+        const url = value.trim();
+        if (/^data:/i.test(url)) return true;
+        return !/^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+    }
+
+    /**
+     * Drops comments the way the CSS tokenizer does: "/*" inside a string or an
+     * unquoted url() doesn't open one, so a remote load can't hide between two strings
+     * @param {string} text - CSS text
+     * @returns {string} Text with each comment replaced by a space
+     */
+    function stripCssComments(text) {
+        let out = '';
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            let end;
+            if (ch === '\\') {
+                end = i + 2;
+            } else if (ch === '"' || ch === "'") {
+                // Strings end at the matching quote or, unterminated, at a newline
+                end = i + 1;
+                while (end < text.length && text[end] !== ch && text[end] !== '\n') end += text[end] === '\\' ? 2 : 1;
+                end++;
+            } else if (ch === '/' && text[i + 1] === '*') {
+                const close = text.indexOf('*/', i + 2);
+                out += ' ';
+                i = close === -1 ? text.length : close + 2;
+                continue;
+            } else if ((ch === 'u' || ch === 'U') && /^url\(\s*[^\s"']/i.test(text.slice(i, i + 256))) {
+                const close = text.indexOf(')', i);
+                end = close === -1 ? text.length : close + 1;
+            } else {
+                end = i + 1;
+            }
+            out += text.slice(i, end);
+            i = end;
+        }
+        return out;
+    }
+
+    /**
+     * Checks user-supplied per-site CSS
+     * Remote loads (@import, url() or image-set() to another host) and anything that
+     * could close the style element are reported as errors
+     * @param {any} css - Raw CSS text
+     * @returns {{css: string, errors: string[]}} Trimmed CSS and the problems found
+     */
+    function validateCustomCss(css) {
+        if (typeof css !== 'string') return { css: '', errors: [] };
+        const text = css.trim();
+        const errors = [];
+
+        if (new TextEncoder().encode(text).length > CUSTOM_CSS_MAX_BYTES) {
+            errors.push(`CSS is larger than ${CUSTOM_CSS_MAX_BYTES} bytes`);
+        }
+
+        // Judge what the CSS parser sees: comments dropped, escapes decoded
+        const decoded = stripCssComments(text)
+            .replace(/\\([0-9a-f]{1,6})\s?/gi, (match, hex) => decodeCssEscape(hex))
+            .replace(/\\([^\n])/g, '$1');
+
+        if (decoded.includes('<')) errors.push('"<" is not allowed');
+        if (/@import/i.test(decoded)) errors.push('@import is not allowed');
+        if (/javascript:|expression\s*\(|-moz-binding|behavior\s*:/i.test(decoded)) errors.push('Script-like values are not allowed');
+
+        const remote = [];
+        for (const match of decoded.matchAll(/\b(?:url|src)\(\s*(["']?)(.*?)\1\s*\)/gi)) {
+            if (!isLocalCssUrl(match[2])) remote.push(match[2]);
+        }
+        for (const match of decoded.matchAll(/image-set\(([^)]*)\)/gi)) {
+            for (const str of match[1].matchAll(/(["'])(.*?)\1/g)) {
+                if (!isLocalCssUrl(str[2])) remote.push(str[2]);
+            }
+        }
+        remote.forEach(url => errors.push(`Remote URL not allowed: ${url.slice(0, 60)}`));
+
+        return { css: text, errors };
+    }
+
+    /**
+     * Returns custom CSS that passed validation
+     * @param {any} css - Raw CSS text
+     * @returns {string} The CSS, or '' when it has any error
+     */
+    function sanitizeCustomCss(css) {
+        const { css: text, errors } = validateCustomCss(css);
+        return errors.length ? '' : text;
+    }
+
     // ============================================================================
     // Storage Helpers
     // ============================================================================
@@ -759,12 +1125,28 @@
         sanitizeNumericRange,
         sanitizeFontSize,
         sanitizeLineHeight,
+        sanitizeFontFamily,
+        sanitizeFontTarget,
         sanitizeDomain,
         sanitizeDomainList,
+        sanitizeUrlPattern,
+        sanitizeUrlPatternList,
         sanitizeTimeString,
         sanitizeColorBlindMode,
+        sanitizeTextShadowIntensity,
+        sanitizeContrastFix,
+        sanitizeSearchStyle,
+        sanitizeCodeTheme,
+        sanitizePdfTreatment,
+        sanitizeSiteMode,
+        sanitizeRenderingMode,
+        sanitizeNativeDarkMode,
+        sanitizeNativeDarkSites,
         sanitizePerSiteOverrides,
         validateSettingsObject,
+        CUSTOM_CSS_MAX_BYTES,
+        validateCustomCss,
+        sanitizeCustomCss,
         calculateObjectSize,
         fitsInSyncQuota,
         calculateChecksum,
@@ -0,0 +1,366 @@
+// viewer.js - Dark viewer for raw text, JSON, XML and source documents
+// Attached to global scope for access by other scripts without bundler
+
+(function (global) {
+    'use strict';
+
+    const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+    // Bigger documents are shown as wrapped plain text: building a node per token
+    // for them would stall the tab far longer than reading the raw text does
+    const MAX_PRETTY_LENGTH = 5 * 1024 * 1024;
+    const MAX_NUMBERED_LINES = 50000;
+
+    // JSON containers deeper than this start collapsed and are built on first expand
+    const AUTO_EXPAND_DEPTH = 3;
+    const INDENT = '  ';
+
+    // ============================================================================
+    // Detection
+    // ============================================================================
+
+    /**
+     * Maps a document content type to a viewer kind
+     * @param {string} contentType - document.contentType
+     * @returns {string|null} 'json', 'xml', 'css', 'js', 'text' or null for documents the browser renders itself
+     */
+    function detectViewerKind(contentType) {
+        const type = String(contentType || '').toLowerCase();
+        if (type === 'application/json' || type.endsWith('+json')) return 'json';
+        // XHTML and SVG render as pages, not as source
+        if (type === 'application/xhtml+xml' || type === 'image/svg+xml') return null;
+        if (type === 'application/xml' || type === 'text/xml' || type.endsWith('+xml')) return 'xml';
+        if (type === 'text/css') return 'css';
+        if (/^(?:text|application)\/(?:x-)?(?:javascript|ecmascript)$/.test(type)) return 'js';
+        if (type === 'text/plain') return 'text';
+        return null;
+    }
+
+    // ============================================================================
+    // DOM Helpers
+    // ============================================================================
+
+    // XHTML namespace so the viewer also renders inside XML documents
+    function el(doc, tag, className, text) {
+        const node = doc.createElementNS(XHTML_NS, tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+    }
+
+    function token(doc, role, text) {
+        return el(doc, 'span', `cdv-${role}`, text);
+    }
+
+    // ============================================================================
+    // JSON
+    // ============================================================================
+
+    // Collapsed JSON node -> the value its children will be built from
+    const unbuiltNodes = new WeakMap();
+
+    function jsonScalar(doc, value) {
+        if (typeof value === 'string') return token(doc, 'string', JSON.stringify(value));
+        if (typeof value === 'number') return token(doc, 'number', String(value));
+        return token(doc, 'keyword', String(value)); // true, false, null
+    }
+
+    function jsonSummary(value) {
+        const count = Array.isArray(value) ? value.length : Object.keys(value).length;
+        const noun = Array.isArray(value) ? 'item' : 'key';
+        return ` ${count} ${noun}${count === 1 ? '' : 's'} `;
+    }
+
+    function buildJsonChildren(doc, value, depth) {
+        const children = el(doc, 'div', 'cdv-children');
+        const entries = Array.isArray(value) ? value.map((item, i) => [null, item, i]) : Object.keys(value).map((key, i) => [key, value[key], i]);
+        entries.forEach(([key, item, i]) => {
+            children.appendChild(buildJsonNode(doc, key, item, depth + 1, i === entries.length - 1));
+        });
+        return children;
+    }
+
+    function buildJsonNode(doc, key, value, depth, isLast) {
+        const node = el(doc, 'div', 'cdv-node');
+        const row = el(doc, 'div', 'cdv-row');
+        node.appendChild(row);
+
+        const isContainer = value !== null && typeof value === 'object';
+        const empty = isContainer && (Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0);
+
+        if (isContainer && !empty) {
+            const toggle = el(doc, 'button', 'cdv-toggle');
+            toggle.type = 'button';
+            toggle.setAttribute('aria-label', 'Toggle');
+            row.appendChild(toggle);
+        }
+        if (key !== null) {
+            row.appendChild(token(doc, 'key', JSON.stringify(key)));
+            row.appendChild(token(doc, 'punctuation', ': '));
+        }
+
+        const comma = isLast ? '' : ',';
+        if (!isContainer) {
+            row.appendChild(jsonScalar(doc, value));
+            if (comma) row.appendChild(token(doc, 'punctuation', comma));
+            return node;
+        }
+
+        const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+        if (empty) {
+            row.appendChild(token(doc, 'punctuation', open + close + comma));
+            return node;
+        }
+
+        row.appendChild(token(doc, 'punctuation', open));
+        row.appendChild(token(doc, 'summary', jsonSummary(value)));
+        row.appendChild(el(doc, 'span', 'cdv-punctuation cdv-collapsed-close', close + comma));
+        const closing = el(doc, 'div', 'cdv-row cdv-close');
+        closing.appendChild(token(doc, 'punctuation', close + comma));
+
+        // Children are only built once the node is first opened
+        unbuiltNodes.set(node, { value, depth });
+        node.appendChild(closing);
+        setJsonNodeOpen(doc, node, depth < AUTO_EXPAND_DEPTH);
+        return node;
+    }
+
+    function setJsonNodeOpen(doc, node, open) {
+        const unbuilt = unbuiltNodes.get(node);
+        if (open && unbuilt) {
+            node.insertBefore(buildJsonChildren(doc, unbuilt.value, unbuilt.depth), node.lastElementChild);
+            unbuiltNodes.delete(node);
+        }
+        node.classList.toggle('cdv-open', open);
+        const toggle = node.querySelector(':scope > .cdv-row > .cdv-toggle');
+        if (toggle) toggle.setAttribute('aria-expanded', String(open));
+    }
+
+    function renderJson(doc, value) {
+        const tree = el(doc, 'div', 'cdv-json');
+        tree.appendChild(buildJsonNode(doc, null, value, 0, true));
+        tree.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.cdv-toggle');
+            if (!toggle) return;
+            const node = toggle.closest('.cdv-node');
+            setJsonNodeOpen(doc, node, !node.classList.contains('cdv-open'));
+        });
+        return tree;
+    }
+
+    // ============================================================================
+    // XML
+    // ============================================================================
+
+    function xmlLine(doc, out, depth) {
+        const line = el(doc, 'div', 'cdv-line');
+        line.appendChild(doc.createTextNode(INDENT.repeat(depth)));
+        out.appendChild(line);
+        return line;
+    }
+
+    function appendOpenTag(doc, line, node, selfClosing) {
+        line.appendChild(token(doc, 'punctuation', '<'));
+        line.appendChild(token(doc, 'tag', node.nodeName));
+        Array.from(node.attributes).forEach(attr => {
+            line.appendChild(doc.createTextNode(' '));
+            line.appendChild(token(doc, 'attr', attr.name));
+            line.appendChild(token(doc, 'punctuation', '='));
+            line.appendChild(token(doc, 'string', `"${attr.value}"`));
+        });
+        line.appendChild(token(doc, 'punctuation', selfClosing ? ' />' : '>'));
+    }
+
+    function appendCloseTag(doc, line, node) {
+        line.appendChild(token(doc, 'punctuation', '</'));
+        line.appendChild(token(doc, 'tag', node.nodeName));
+        line.appendChild(token(doc, 'punctuation', '>'));
+    }
+
+    function renderXmlNode(doc, node, depth, out) {
+        switch (node.nodeType) {
+            case 1: { // Element
+                const children = Array.from(node.childNodes).filter(child => child.nodeType !== 3 || child.nodeValue.trim());
+                const line = xmlLine(doc, out, depth);
+                if (children.length === 0) {
+                    appendOpenTag(doc, line, node, true);
+                    return;
+                }
+                appendOpenTag(doc, line, node, false);
+                // Short text content stays on the tag's line
+                if (children.length === 1 && children[0].nodeType === 3) {
+                    line.appendChild(token(doc, 'text', children[0].nodeValue.trim()));
+                    appendCloseTag(doc, line, node);
+                    return;
+                }
+                children.forEach(child => renderXmlNode(doc, child, depth + 1, out));
+                appendCloseTag(doc, xmlLine(doc, out, depth), node);
+                return;
+            }
+            case 3: // Text
+                xmlLine(doc, out, depth).appendChild(token(doc, 'text', node.nodeValue.trim()));
+                return;
+            case 4: // CDATA
+                xmlLine(doc, out, depth).appendChild(token(doc, 'meta', `<![CDATA[${node.nodeValue}]]>`));
+                return;
+            case 7: // Processing instruction
+                xmlLine(doc, out, depth).appendChild(token(doc, 'meta', `<?${node.target} ${node.data}?>`));
+                return;
+            case 8: // Comment
+                xmlLine(doc, out, depth).appendChild(token(doc, 'comment', `<!--${node.nodeValue}-->`));
+                return;
+            default:
+        }
+    }
+
+    function renderXml(doc, xmlDoc) {
+        const out = el(doc, 'div', 'cdv-xml');
+        Array.from(xmlDoc.childNodes).forEach(node => {
+            if (node.nodeType !== 10) renderXmlNode(doc, node, 0, out); // Doctypes are dropped
+        });
+        return out;
+    }
+
+    // ============================================================================
+    // Plain Text
+    // ============================================================================
+
+    function renderText(doc, text) {
+        const lines = text.split(/\r?\n/);
+        if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+        if (lines.length > MAX_NUMBERED_LINES) return el(doc, 'div', 'cdv-plain', text);
+
+        const out = el(doc, 'div', 'cdv-lines');
+        lines.forEach(line => out.appendChild(el(doc, 'div', 'cdv-line', line)));
+        return out;
+    }
+
+    // ============================================================================
+    // Viewer
+    // ============================================================================
+
+    /**
+     * Builds the viewer stylesheet from code theme colors
+     * @param {Object} colors - Role colors (background, text, comment, keyword, string, number, function, type, punctuation, meta)
+     * @returns {string} CSS text
+     */
+    function buildViewerCSS(colors) {
+        return `
+            #cyberdark-viewer {
+                position: fixed !important; inset: 0 !important; z-index: 2147483646 !important;
+                overflow: auto !important; margin: 0 !important; padding: 0 !important;
+                background: ${colors.background} !important; color: ${colors.text} !important;
+                font: 13px/1.5 "SF Mono", Consolas, "Liberation Mono", monospace !important;
+                text-align: left !important; color-scheme: dark;
+            }
+            #cyberdark-viewer.cdv-raw {
+                inset: 8px 8px auto auto !important; overflow: visible !important; background: transparent !important;
+            }
+            #cyberdark-viewer.cdv-raw .cdv-body { display: none !important; }
+            #cyberdark-viewer .cdv-toolbar {
+                position: sticky; top: 0; display: flex; justify-content: flex-end; gap: 8px; padding: 8px;
+            }
+            #cyberdark-viewer .cdv-toolbar button {
+                font: inherit; padding: 2px 10px; cursor: pointer; border-radius: 4px;
+                background: ${colors.background}; color: ${colors.text}; border: 1px solid ${colors.punctuation};
+            }
+            #cyberdark-viewer .cdv-body { padding: 0 16px 16px; white-space: pre-wrap; overflow-wrap: anywhere; }
+            #cyberdark-viewer .cdv-lines { counter-reset: cdv-line; }
+            #cyberdark-viewer .cdv-lines .cdv-line { position: relative; padding-left: 5em; min-height: 1.5em; }
+            #cyberdark-viewer .cdv-lines .cdv-line::before {
+                counter-increment: cdv-line; content: counter(cdv-line);
+                position: absolute; left: 0; width: 4em; text-align: right; color: ${colors.comment}; user-select: none;
+            }
+            #cyberdark-viewer .cdv-children { padding-left: 2ch; }
+            #cyberdark-viewer .cdv-node:not(.cdv-open) > .cdv-children,
+            #cyberdark-viewer .cdv-node:not(.cdv-open) > .cdv-close,
+            #cyberdark-viewer .cdv-node.cdv-open > .cdv-row > .cdv-summary,
+            #cyberdark-viewer .cdv-node.cdv-open > .cdv-row > .cdv-collapsed-close { display: none; }
+            #cyberdark-viewer .cdv-toggle {
+                width: 2ch; margin-left: -2ch; padding: 0; border: 0; background: none; cursor: pointer;
+                font: inherit; color: ${colors.punctuation};
+            }
+            #cyberdark-viewer .cdv-toggle::before { content: '\\25B8'; }
+            #cyberdark-viewer .cdv-open > .cdv-row > .cdv-toggle::before { content: '\\25BE'; }
+            #cyberdark-viewer .cdv-json { padding-left: 2ch; }
+            #cyberdark-viewer .cdv-key, #cyberdark-viewer .cdv-tag { color: ${colors.function}; }
+            #cyberdark-viewer .cdv-string { color: ${colors.string}; }
+            #cyberdark-viewer .cdv-number { color: ${colors.number}; }
+            #cyberdark-viewer .cdv-keyword { color: ${colors.keyword}; }
+            #cyberdark-viewer .cdv-attr { color: ${colors.type}; }
+            #cyberdark-viewer .cdv-punctuation { color: ${colors.punctuation}; }
+            #cyberdark-viewer .cdv-comment, #cyberdark-viewer .cdv-summary { color: ${colors.comment}; font-style: italic; }
+            #cyberdark-viewer .cdv-meta { color: ${colors.meta}; }
+        `;
+    }
+
+    function renderBody(doc, kind, source) {
+        const text = source.text;
+        if (kind === 'json' && text.length <= MAX_PRETTY_LENGTH) {
+            try {
+                return renderJson(doc, JSON.parse(text));
+            } catch (_) {
+                // Not valid JSON after all: show it as text
+            }
+        }
+        if (kind === 'xml') {
+            let xmlDoc = source.xmlDocument;
+            if (!xmlDoc && text.length <= MAX_PRETTY_LENGTH && typeof DOMParser !== 'undefined') {
+                const parsed = new DOMParser().parseFromString(text, 'application/xml');
+                if (!parsed.getElementsByTagName('parsererror').length) xmlDoc = parsed;
+            }
+            if (xmlDoc) return renderXml(doc, xmlDoc);
+        }
+        return renderText(doc, text);
+    }
+
+    /**
+     * Creates the viewer overlay for a raw document
+     * @param {Document} doc - Document to render into
+     * @param {Object} options - { kind, source: {text, xmlDocument}, colors, media }
+     * @returns {Element} Viewer root (not yet attached)
+     */
+    function createViewer(doc, options) {
+        const root = el(doc, 'div');
+        root.id = 'cyberdark-viewer';
+        root.setAttribute('data-cyberdark-ui', 'true');
+
+        const style = el(doc, 'style', '', buildViewerCSS(options.colors));
+        style.setAttribute('data-cyberdark', 'viewer');
+        if (options.media) style.setAttribute('media', options.media);
+        root.appendChild(style);
+
+        const toolbar = el(doc, 'div', 'cdv-toolbar');
+        const rawButton = el(doc, 'button', '', 'View raw');
+        rawButton.type = 'button';
+        rawButton.addEventListener('click', () => {
+            const raw = root.classList.toggle('cdv-raw');
+            rawButton.textContent = raw ? 'View formatted' : 'View raw';
+        });
+        toolbar.appendChild(rawButton);
+        root.appendChild(toolbar);
+
+        const body = el(doc, 'div', 'cdv-body');
+        body.appendChild(renderBody(doc, options.kind, options.source));
+        root.appendChild(body);
+        return root;
+    }
+
+    // ============================================================================
+    // Export
+    // ============================================================================
+
+    const CyberdarkViewer = {
+        detectViewerKind,
+        buildViewerCSS,
+        createViewer
+    };
+
+    global.CyberdarkViewer = CyberdarkViewer;
+
+    // Node.js export for testing
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CyberdarkViewer;
+    }
+
+})(typeof window !== 'undefined' ? window : this);